@@ -0,0 +1,101 @@
+import { FileCacheStore } from "../lib/cache.js";
+
+function openStore(options) {
+  const directory = options.dir || process.env.CACHE_DIR;
+  if (!directory) {
+    console.log("The on-disk cache is not enabled. Set CACHE_DIR (or pass --dir).");
+    console.log(
+      "The in-memory cache lives inside the running server and is cleared when it restarts."
+    );
+    return null;
+  }
+  return new FileCacheStore(directory);
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+export function registerCacheCommand(program) {
+  const cache = program
+    .command("cache")
+    .description("Inspect and clear the on-disk tool response cache");
+
+  cache
+    .command("list")
+    .description("List cached entries")
+    .option("-d, --dir <path>", "cache directory (defaults to CACHE_DIR)")
+    .option("-t, --tool <name>", "only show entries for this tool")
+    .action((options) => {
+      const store = openStore(options);
+      if (!store) return;
+
+      const now = Date.now();
+      const entries = store
+        .list()
+        .filter((entry) => !options.tool || entry.tool === options.tool)
+        .sort((a, b) => b.createdAt - a.createdAt);
+
+      if (entries.length === 0) {
+        console.log("Cache is empty.");
+        return;
+      }
+
+      for (const entry of entries) {
+        const state = entry.expiresAt <= now ? "expired" : "valid";
+        console.log(`${entry.key}`);
+        console.log(
+          `  ${state}, cached ${new Date(entry.createdAt).toISOString()}, ` +
+            `expires ${new Date(entry.expiresAt).toISOString()}, ${formatBytes(entry.size)}`
+        );
+      }
+    });
+
+  cache
+    .command("stats")
+    .description("Show cache size and per-tool entry counts")
+    .option("-d, --dir <path>", "cache directory (defaults to CACHE_DIR)")
+    .action((options) => {
+      const store = openStore(options);
+      if (!store) return;
+
+      const now = Date.now();
+      const entries = store.list();
+      const byTool = {};
+      let expired = 0;
+      let bytes = 0;
+      for (const entry of entries) {
+        byTool[entry.tool] = (byTool[entry.tool] || 0) + 1;
+        if (entry.expiresAt <= now) expired++;
+        bytes += entry.size;
+      }
+
+      console.log(`Directory: ${store.directory}`);
+      console.log(`Entries:   ${entries.length} (${expired} expired)`);
+      console.log(`Size:      ${formatBytes(bytes)}`);
+      for (const [tool, count] of Object.entries(byTool).sort()) {
+        console.log(`  ${tool}: ${count}`);
+      }
+    });
+
+  cache
+    .command("clear")
+    .description("Remove cached entries")
+    .option("-d, --dir <path>", "cache directory (defaults to CACHE_DIR)")
+    .option("-t, --tool <name>", "only remove entries for this tool")
+    .option("--expired", "only remove expired entries")
+    .action((options) => {
+      const store = openStore(options);
+      if (!store) return;
+
+      const now = Date.now();
+      const removed = store.clear(
+        (entry) =>
+          (!options.tool || entry.tool === options.tool) &&
+          (!options.expired || entry.expiresAt <= now)
+      );
+      console.log(`Removed ${removed} cache ${removed === 1 ? "entry" : "entries"}.`);
+    });
+}
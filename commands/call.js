@@ -0,0 +1,96 @@
+import fs from "fs";
+import { ErrorCode, McpError } from "@modelcontextprotocol/sdk/types.js";
+import { formatOutput, OUTPUT_FORMATS, parseToolFlags, resultData } from "../lib/cli.js";
+import { callTool, findTool } from "../lib/pipeline.js";
+import { discoverTools } from "../lib/tools.js";
+
+// Exit codes, so scripts can tell bad input apart from a failing API
+export const EXIT_TOOL_ERROR = 1;
+export const EXIT_INVALID_ARGUMENTS = 2;
+
+function readArgsObject(text, label) {
+  let value;
+  try {
+    value = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`${label} is not valid JSON: ${error.message}`);
+  }
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    throw new Error(`${label} must be a JSON object`);
+  }
+  return value;
+}
+
+/**
+ * Combines the argument sources of a `call`; later sources win:
+ * `--args-file`, then `--json`, then individual parameter flags.
+ */
+function collectArguments(tool, options, tokens) {
+  const fromFile = options.argsFile
+    ? readArgsObject(fs.readFileSync(options.argsFile, "utf8"), options.argsFile)
+    : {};
+  const fromJson = options.json ? readArgsObject(options.json, "--json") : {};
+  const { args, errors } = parseToolFlags(tool.definition.function.parameters, tokens);
+  if (errors.length) throw new Error(errors.join("; "));
+  return { ...fromFile, ...fromJson, ...args };
+}
+
+export function registerCallCommand(program) {
+  program
+    .command("call <tool>")
+    .description("Invoke a tool and print its result")
+    .option("--json <json>", "arguments as a JSON object")
+    .option("--args-file <file>", "read arguments from a JSON file")
+    .option("-o, --output <format>", `output format: ${OUTPUT_FORMATS.join(", ")}`, "pretty")
+    .allowUnknownOption()
+    .allowExcessArguments()
+    .addHelpText(
+      "after",
+      `
+Tool parameters can also be passed as flags, e.g.
+  node index.js call get_place_details --place-id ChIJN1t_tDeuEmsRUsoyG83frY4 --fields name,rating
+
+Exit codes: 0 on success, ${EXIT_TOOL_ERROR} when the tool or API fails, ${EXIT_INVALID_ARGUMENTS} for unknown tools or invalid arguments.`
+    )
+    .action(async (toolName, options, command) => {
+      if (!OUTPUT_FORMATS.includes(options.output)) {
+        console.error(`Error: unknown output format "${options.output}"`);
+        process.exitCode = EXIT_INVALID_ARGUMENTS;
+        return;
+      }
+
+      const tools = await discoverTools();
+      const tool = findTool(tools, toolName);
+      if (!tool) {
+        console.error(`Error: unknown tool "${toolName}". Run "node index.js tools" to list them.`);
+        process.exitCode = EXIT_INVALID_ARGUMENTS;
+        return;
+      }
+
+      let result;
+      try {
+        const args = collectArguments(tool, options, command.args.slice(1));
+        result = await callTool(tool, args);
+      } catch (error) {
+        if (error instanceof McpError && error.code === ErrorCode.InvalidParams) {
+          console.error(`Error: invalid arguments for ${toolName}:`);
+          for (const { path, message } of error.data?.errors || []) {
+            console.error(`  - ${path || "(arguments)"}: ${message}`);
+          }
+          process.exitCode = EXIT_INVALID_ARGUMENTS;
+        } else {
+          console.error(`Error: ${error.message}`);
+          process.exitCode = error instanceof McpError ? EXIT_TOOL_ERROR : EXIT_INVALID_ARGUMENTS;
+        }
+        return;
+      }
+
+      const data = resultData(result);
+      if (result.isError) {
+        console.error(formatOutput(data, options.output === "raw" ? "raw" : "pretty"));
+        process.exitCode = EXIT_TOOL_ERROR;
+        return;
+      }
+      console.log(formatOutput(data, options.output));
+    });
+}
@@ -0,0 +1,198 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import dotenv from "dotenv";
+import { PROJECT_ROOT } from "../lib/config.js";
+
+const SERVER_SCRIPT = path.join(PROJECT_ROOT, "mcpServer.js");
+const TRANSPORTS = ["stdio", "streamable-http", "sse"];
+
+/**
+ * Config file layout of each supported client. `key` is the object holding
+ * the server entries; `env` renders a placeholder for an environment value.
+ */
+const CLIENTS = {
+  "claude-desktop": {
+    key: "mcpServers",
+    env: (name) => `<${name}>`,
+    configFile: () => {
+      if (process.platform === "darwin") {
+        return path.join(os.homedir(), "Library/Application Support/Claude/claude_desktop_config.json");
+      }
+      if (process.platform === "win32") {
+        return path.join(process.env.APPDATA || os.homedir(), "Claude/claude_desktop_config.json");
+      }
+      return path.join(os.homedir(), ".config/Claude/claude_desktop_config.json");
+    },
+    // Claude Desktop only launches local processes, so remote servers go through mcp-remote
+    remote: (url) => ({ command: "npx", args: ["-y", "mcp-remote", url] }),
+  },
+  cursor: {
+    key: "mcpServers",
+    env: (name) => `\${env:${name}}`,
+    configFile: () => path.join(os.homedir(), ".cursor/mcp.json"),
+    remote: (url) => ({ url }),
+  },
+  windsurf: {
+    key: "mcpServers",
+    env: (name) => `<${name}>`,
+    configFile: () => path.join(os.homedir(), ".codeium/windsurf/mcp_config.json"),
+    remote: (url) => ({ serverUrl: url }),
+  },
+  vscode: {
+    key: "servers",
+    env: (name) => `\${env:${name}}`,
+    configFile: () => path.resolve(".vscode/mcp.json"),
+    stdio: (entry) => ({ type: "stdio", ...entry }),
+    remote: (url, transport) => ({ type: transport === "sse" ? "sse" : "http", url }),
+  },
+  generic: {
+    key: "mcpServers",
+    env: (name) => `<${name}>`,
+    configFile: () => null,
+    remote: (url, transport) => ({ type: transport === "sse" ? "sse" : "streamable-http", url }),
+  },
+};
+
+/**
+ * Returns the variable names defined in the project's .env file. Values are
+ * never read into the output.
+ */
+function envVarNames() {
+  const envFile = path.join(PROJECT_ROOT, ".env");
+  if (!fs.existsSync(envFile)) return [];
+  return Object.keys(dotenv.parse(fs.readFileSync(envFile)));
+}
+
+function defaultUrl(transport) {
+  const port = process.env.PORT || 3001;
+  return `http://localhost:${port}/${transport === "sse" ? "sse" : "mcp"}`;
+}
+
+/**
+ * Builds the server entry for one client and transport.
+ * @returns {Object}
+ */
+function buildEntry(client, transport, options) {
+  if (transport !== "stdio") {
+    return client.remote(options.url || defaultUrl(transport), transport);
+  }
+
+  // The client's values take precedence over .env, so placeholders are only added on request
+  const names = options.env ? envVarNames() : [];
+  const env = Object.fromEntries(names.map((name) => [name, client.env(name)]));
+  const entry = {
+    command: process.execPath,
+    args: [SERVER_SCRIPT],
+    ...(Object.keys(env).length > 0 && { env }),
+  };
+  return client.stdio ? client.stdio(entry) : entry;
+}
+
+/**
+ * Adds or replaces the entry in a client config file, keeping a copy of the
+ * previous file next to it.
+ * @returns {{ backup: string|null, replaced: boolean }}
+ */
+function mergeIntoConfig(file, key, name, entry) {
+  let config = {};
+  let backup = null;
+  if (fs.existsSync(file)) {
+    const text = fs.readFileSync(file, "utf8");
+    try {
+      config = text.trim() ? JSON.parse(text) : {};
+    } catch (error) {
+      throw new Error(`${file} is not valid JSON (${error.message}); leaving it untouched`);
+    }
+    backup = `${file}.${new Date().toISOString().replace(/[:.]/g, "-")}.bak`;
+    fs.copyFileSync(file, backup);
+  }
+
+  const replaced = Boolean(config[key]?.[name]);
+  config[key] = { ...config[key], [name]: entry };
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify(config, null, 2)}\n`);
+  return { backup, replaced };
+}
+
+export function registerConfigureClientCommand(program) {
+  program
+    .command("configure-client")
+    .description("Print (or merge) an MCP client config entry for this server")
+    .option(
+      "-c, --client <client>",
+      `client config format: ${Object.keys(CLIENTS).join(", ")}`,
+      "claude-desktop"
+    )
+    .option("-t, --transport <transport>", `transport: ${TRANSPORTS.join(", ")}`, "stdio")
+    .option("-n, --name <name>", "server name in the client config", "generated-mcp-server")
+    .option("-u, --url <url>", "server URL for HTTP transports (defaults to localhost and PORT)")
+    .option(
+      "-m, --merge [file]",
+      "merge the entry into a client config file (defaults to the client's usual location)"
+    )
+    .option(
+      "-e, --env",
+      "add placeholders for the .env variables to a stdio entry, to be replaced with real values"
+    )
+    .addHelpText(
+      "after",
+      `
+A stdio server reads ${path.join(PROJECT_ROOT, ".env")} on start, so the entry
+needs no env block. Variables the client sets take precedence over .env,
+which is why --env placeholders must be replaced before the client starts
+the server.`
+    )
+    .action((options) => {
+      const client = CLIENTS[options.client];
+      if (!client) {
+        console.error(
+          `Error: unknown client "${options.client}"; choose one of ${Object.keys(CLIENTS).join(", ")}`
+        );
+        process.exitCode = 1;
+        return;
+      }
+      if (!TRANSPORTS.includes(options.transport)) {
+        console.error(
+          `Error: unknown transport "${options.transport}"; choose one of ${TRANSPORTS.join(", ")}`
+        );
+        process.exitCode = 1;
+        return;
+      }
+
+      const entry = buildEntry(client, options.transport, options);
+
+      if (options.merge) {
+        const file = options.merge === true ? client.configFile() : path.resolve(options.merge);
+        if (!file) {
+          console.error(`Error: pass a config file path to --merge for the ${options.client} format`);
+          process.exitCode = 1;
+          return;
+        }
+        try {
+          const { backup, replaced } = mergeIntoConfig(file, client.key, options.name, entry);
+          console.log(`${replaced ? "Updated" : "Added"} "${options.name}" in ${file}`);
+          if (backup) console.log(`Previous config saved as ${backup}`);
+        } catch (error) {
+          console.error(`Error: ${error.message}`);
+          process.exitCode = 1;
+          return;
+        }
+      } else {
+        console.log(JSON.stringify({ [client.key]: { [options.name]: entry } }, null, 2));
+      }
+
+      if (options.transport === "stdio") {
+        if (entry.env) {
+          console.error(
+            "\nReplace the env placeholders with real values, or drop them: they override " +
+              `the values in ${path.join(PROJECT_ROOT, ".env")}.`
+          );
+        }
+      } else {
+        console.error(
+          `\nStart the server first: ${process.execPath} ${SERVER_SCRIPT} --${options.transport}`
+        );
+      }
+    });
+}
@@ -0,0 +1,197 @@
+import fs from "fs";
+import net from "net";
+import path from "path";
+import dotenv from "dotenv";
+import { auditOptions } from "../lib/audit.js";
+import { authOptions } from "../lib/auth.js";
+import { loadConfig, PROJECT_ROOT } from "../lib/config.js";
+import { logOptions } from "../lib/logger.js";
+import { loadToolModules, TOOLS_DIR } from "../lib/tools.js";
+import { checkSchema } from "../lib/validation.js";
+
+const MIN_NODE_MAJOR = 18;
+const ENV_LINE = /^\s*(export\s+)?[\w.-]+\s*[=:]/;
+
+/**
+ * Collects check results and prints them as they come in.
+ */
+class Report {
+  constructor() {
+    this.counts = { pass: 0, warn: 0, fail: 0 };
+  }
+
+  add(status, message) {
+    this.counts[status]++;
+    console.log(`${status.toUpperCase().padEnd(4)}  ${message}`);
+  }
+
+  pass(message) {
+    this.add("pass", message);
+  }
+
+  warn(message) {
+    this.add("warn", message);
+  }
+
+  fail(message) {
+    this.add("fail", message);
+  }
+}
+
+function checkRuntime(report) {
+  const major = Number(process.versions.node.split(".")[0]);
+  if (major >= MIN_NODE_MAJOR) {
+    report.pass(`Node.js ${process.versions.node}`);
+  } else {
+    report.fail(
+      `Node.js ${process.versions.node} is too old; version ${MIN_NODE_MAJOR} or newer is required`
+    );
+  }
+
+  if (typeof fetch === "function" && typeof AbortController === "function") {
+    report.pass("Global fetch and AbortController are available");
+  } else {
+    report.fail("Global fetch is not available; tools cannot make HTTP requests");
+  }
+}
+
+function checkEnvFile(report) {
+  const envFile = path.join(PROJECT_ROOT, ".env");
+  if (!fs.existsSync(envFile)) {
+    report.warn(".env not found; variables must come from the process environment");
+    return;
+  }
+
+  const text = fs.readFileSync(envFile, "utf8");
+  const parsed = dotenv.parse(text);
+  const badLines = text
+    .split(/\r?\n/)
+    .map((line, index) => ({ line, number: index + 1 }))
+    .filter(({ line }) => line.trim() && !line.trim().startsWith("#") && !ENV_LINE.test(line));
+  for (const { number } of badLines) {
+    report.warn(`.env line ${number} is not a KEY=value assignment and is ignored`);
+  }
+  const empty = Object.entries(parsed).filter(([, value]) => value === "");
+  for (const [name] of empty) {
+    report.warn(`.env sets ${name} to an empty value`);
+  }
+  report.pass(`.env parsed (${Object.keys(parsed).length} variable(s))`);
+}
+
+function checkConfig(report) {
+  try {
+    loadConfig();
+    authOptions();
+    logOptions();
+    auditOptions();
+    report.pass("Configuration file is valid");
+  } catch (error) {
+    report.fail(error.message);
+  }
+}
+
+/**
+ * Lists the environment variables a tool needs: from its request descriptor
+ * when it has one, otherwise from `process.env.X` reads in its source.
+ */
+function requiredEnvVars(tool) {
+  const auth = tool.request?.auth;
+  if (auth) return auth.type === "basic" ? [auth.usernameEnv, auth.passwordEnv] : [auth.env];
+  if (tool.plugin || !tool.path.endsWith(".js")) return [];
+
+  const source = fs.readFileSync(path.join(TOOLS_DIR, tool.path), "utf8");
+  return [...new Set([...source.matchAll(/process\.env\.([A-Z0-9_]+)/g)].map((match) => match[1]))];
+}
+
+async function checkTools(report) {
+  const { tools, errors } = await loadToolModules();
+  for (const { path: toolPath, error } of errors) {
+    report.fail(`Tool ${toolPath} failed to load: ${error.message}`);
+  }
+  if (tools.length === 0) {
+    report.fail("No tools were loaded");
+    return;
+  }
+  report.pass(`${tools.length} tool(s) loaded`);
+
+  const byName = new Map();
+  const envUsers = new Map();
+  for (const tool of tools) {
+    const name = tool.definition.function.name;
+    byName.set(name, [...(byName.get(name) || []), tool.path]);
+
+    const problems = [
+      ...checkSchema(tool.definition.function.parameters || {}, "parameters"),
+      ...(tool.outputSchema ? checkSchema(tool.outputSchema, "outputSchema") : []),
+    ];
+    if (tool.definition.function.parameters?.type !== "object") {
+      problems.unshift("parameters: type must be \"object\"");
+    }
+    for (const problem of problems) {
+      report.fail(`Tool ${name} (${tool.path}): ${problem}`);
+    }
+
+    for (const variable of requiredEnvVars(tool)) {
+      envUsers.set(variable, [...(envUsers.get(variable) || []), name]);
+    }
+  }
+
+  for (const [name, paths] of byName) {
+    if (paths.length > 1) {
+      report.warn(
+        `Duplicate tool name ${name} in ${paths.join(", ")}; later ones are renamed ${name}_2, ...`
+      );
+    }
+  }
+
+  for (const [variable, users] of envUsers) {
+    if (process.env[variable]) {
+      report.pass(`${variable} is set (${users.length} tool(s))`);
+    } else {
+      report.fail(`${variable} is not set; needed by ${users.join(", ")}`);
+    }
+  }
+}
+
+function portAvailable(port, host) {
+  return new Promise((resolve) => {
+    const server = net.createServer();
+    server.once("error", (error) => resolve(error.code));
+    server.listen(port, host, () => server.close(() => resolve(null)));
+  });
+}
+
+async function checkPort(report) {
+  const port = Number(process.env.PORT || 3001);
+  let host;
+  try {
+    host = process.env.HOST || loadConfig().http?.host || "127.0.0.1";
+  } catch {
+    host = process.env.HOST || "127.0.0.1";
+  }
+  const error = await portAvailable(port, host);
+  if (!error) {
+    report.pass(`Port ${port} on ${host} is available for the HTTP transports`);
+  } else {
+    // Only the HTTP transports need the port, so this is not fatal
+    report.warn(`Port ${port} is not available (${error}); set PORT to use another one`);
+  }
+}
+
+export function registerDoctorCommand(program) {
+  program
+    .command("doctor")
+    .description("Check the environment, configuration and tools for problems")
+    .action(async () => {
+      const report = new Report();
+      checkRuntime(report);
+      checkEnvFile(report);
+      checkConfig(report);
+      await checkTools(report);
+      await checkPort(report);
+
+      const { pass, warn, fail } = report.counts;
+      console.log(`\n${pass} passed, ${warn} warning(s), ${fail} failure(s)`);
+      if (fail > 0) process.exitCode = 1;
+    });
+}
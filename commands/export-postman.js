@@ -0,0 +1,42 @@
+import fs from "fs";
+import path from "path";
+import { toKebabCase } from "../lib/codegen.js";
+import { exportPostmanCollection } from "../lib/postman-export.js";
+import { discoverTools } from "../lib/tools.js";
+
+export function registerExportPostmanCommand(program) {
+  program
+    .command("export-postman")
+    .description("Write a Postman Collection v2.1 and environment for the loaded tools")
+    .option("-n, --name <name>", "collection and environment name", "MCP tools")
+    .option("-o, --out <dir>", "output directory", ".")
+    .action(async (options) => {
+      const tools = await discoverTools();
+      const { collection, environment, skipped } = exportPostmanCollection(tools, {
+        name: options.name,
+      });
+
+      const slug = toKebabCase(options.name);
+      const outDir = path.resolve(options.out);
+      const collectionFile = path.join(outDir, `${slug}.postman_collection.json`);
+      const environmentFile = path.join(outDir, `${slug}.postman_environment.json`);
+
+      fs.mkdirSync(outDir, { recursive: true });
+      fs.writeFileSync(collectionFile, `${JSON.stringify(collection, null, 2)}\n`);
+      fs.writeFileSync(environmentFile, `${JSON.stringify(environment, null, 2)}\n`);
+
+      for (const name of skipped) {
+        console.error(`[Warning] Skipped ${name}: the tool module has no static request description`);
+      }
+      console.log(`Exported ${tools.length - skipped.length} request(s):`);
+      console.log(`  ${path.relative(process.cwd(), collectionFile)}`);
+      console.log(`  ${path.relative(process.cwd(), environmentFile)}`);
+      if (environment.values.length) {
+        console.log(
+          `\nThe environment lists ${environment.values
+            .map(({ key }) => key)
+            .join(", ")} without values; fill them in after importing.`
+        );
+      }
+    });
+}
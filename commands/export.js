@@ -0,0 +1,36 @@
+import fs from "fs";
+import path from "path";
+import { EXPORT_FORMATS } from "../lib/exporters.js";
+import { discoverTools } from "../lib/tools.js";
+
+export function registerExportCommand(program) {
+  const formats = Object.keys(EXPORT_FORMATS);
+
+  program
+    .command("export")
+    .description("Export the tool catalogue for MCP or an LLM function-calling API")
+    .option("-f, --format <format>", `output format: ${formats.join(", ")}`, "mcp")
+    .option("-o, --out <file>", "write to a file instead of stdout")
+    .action(async (options) => {
+      const exporter = EXPORT_FORMATS[options.format];
+      if (!exporter) {
+        console.error(
+          `Error: unknown format "${options.format}"; choose one of ${formats.join(", ")}`
+        );
+        process.exitCode = 1;
+        return;
+      }
+
+      // discoverTools de-duplicates names the same way the server does
+      const tools = await discoverTools();
+      const output = `${JSON.stringify(exporter(tools), null, 2)}\n`;
+
+      if (!options.out) {
+        process.stdout.write(output);
+        return;
+      }
+      fs.mkdirSync(path.dirname(path.resolve(options.out)), { recursive: true });
+      fs.writeFileSync(options.out, output);
+      console.error(`Exported ${tools.length} tool(s) as ${options.format} to ${options.out}`);
+    });
+}
@@ -0,0 +1,108 @@
+import fs from "fs";
+import path from "path";
+import { assignUniqueNames, writeToolModules } from "../lib/codegen.js";
+import { importPostmanCollection } from "../lib/postman-import.js";
+import { TOOLS_DIR } from "../lib/tools.js";
+
+function readJson(file, label) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new Error(`Cannot read ${label} ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Prints the outcome of a generator run: written files, warnings and the
+ * environment variables the generated tools expect.
+ * @param {Array<{ file: string, status: string }>} results
+ * @param {Array<Object>} operations
+ * @param {string[]} warnings
+ */
+export function reportGeneratedTools(results, operations, warnings) {
+  for (const { file, status } of results) {
+    console.log(`  ${status.padEnd(7)} ${path.relative(process.cwd(), file)}`);
+  }
+  for (const warning of warnings) {
+    console.error(`[Warning] ${warning}`);
+  }
+
+  const envVars = new Set(
+    operations.flatMap(({ auth }) =>
+      !auth ? [] : auth.type === "basic" ? [auth.usernameEnv, auth.passwordEnv] : [auth.env]
+    )
+  );
+  if (envVars.size) {
+    console.log(`\nSet these environment variables (e.g. in .env): ${[...envVars].join(", ")}`);
+  }
+
+  const skipped = results.filter(({ status }) => status === "skipped").length;
+  if (skipped) {
+    console.log(`${skipped} existing file(s) left unchanged; use --force to overwrite.`);
+  }
+  console.log(
+    "Tools are discovered automatically from the tools directory; no manifest needs updating."
+  );
+}
+
+export function registerImportCollectionCommand(program) {
+  program
+    .command("import-collection <file>")
+    .description("Generate tool modules from a Postman Collection v2.1 export")
+    .option("-e, --environment <file>", "Postman environment export used to resolve variables")
+    .option("-w, --workspace <name>", "workspace directory name (defaults to the collection name)")
+    .option("-c, --collection <name>", "collection directory name (defaults to the collection name)")
+    .option("--env-prefix <prefix>", "prefix for credential environment variables")
+    .option("-o, --out <dir>", "root tools directory", TOOLS_DIR)
+    .option("-f, --force", "overwrite existing tool modules")
+    .option("--dry-run", "list the files that would be generated without writing them")
+    .addHelpText(
+      "after",
+      `
+Folders in the collection become subdirectories of the collection directory.
+Collections written by export-postman are imported back into the workspace
+and collection directories their tools came from, unless -w or -c is given.`
+    )
+    .action((file, options) => {
+      try {
+        const collection = readJson(file, "collection");
+        const environment = options.environment
+          ? readJson(options.environment, "environment")
+          : undefined;
+
+        const imported = importPostmanCollection(collection, {
+          environment,
+          workspace: options.workspace,
+          collection: options.collection,
+          envPrefix: options.envPrefix,
+        });
+        const operations = assignUniqueNames(imported.operations);
+        // Tools re-imported from export-postman keep their own workspace and collection
+        const byLocation = new Map();
+        for (const operation of operations) {
+          const workspace = operation.workspace || imported.workspace;
+          const collectionDir = operation.collection || imported.collection;
+          const key = `${workspace}/${collectionDir}`;
+          if (!byLocation.has(key)) byLocation.set(key, { workspace, collectionDir, group: [] });
+          byLocation.get(key).group.push(operation);
+        }
+
+        console.log(
+          `\nImporting ${operations.length} request(s) into ${[...byLocation.keys()].join(", ")}:\n`
+        );
+        const results = [...byLocation.values()].flatMap(({ workspace, collectionDir, group }) =>
+          writeToolModules(group, {
+            toolsDir: path.resolve(options.out),
+            workspace,
+            collection: collectionDir,
+            force: options.force,
+            dryRun: options.dryRun,
+          })
+        );
+        reportGeneratedTools(results, operations, imported.warnings);
+      } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exitCode = 1;
+      }
+    });
+}
@@ -0,0 +1,79 @@
+import fs from "fs";
+import path from "path";
+import YAML from "yaml";
+import { assignUniqueNames, writeToolModules } from "../lib/codegen.js";
+import { importOpenApi } from "../lib/openapi-import.js";
+import { TOOLS_DIR } from "../lib/tools.js";
+import { reportGeneratedTools } from "./import-collection.js";
+
+function readSpec(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, "utf8");
+  } catch (error) {
+    throw new Error(`Cannot read spec ${file}: ${error.message}`);
+  }
+  try {
+    // YAML is a superset of JSON, so one parser covers both formats
+    return YAML.parse(text);
+  } catch (error) {
+    throw new Error(`Cannot parse spec ${file}: ${error.message}`);
+  }
+}
+
+function collect(value, previous) {
+  return previous.concat(value.split(",").map((item) => item.trim()).filter(Boolean));
+}
+
+export function registerImportOpenApiCommand(program) {
+  program
+    .command("import-openapi <spec>")
+    .description("Generate tool modules from an OpenAPI 3 spec (JSON or YAML)")
+    .option("-w, --workspace <name>", "workspace directory name (defaults to the API title)")
+    .option("-c, --collection <name>", "put every tool in this collection instead of one per tag")
+    .option("-t, --tag <tags>", "only import operations with these tags (repeatable)", collect, [])
+    .option("--exclude-tag <tags>", "skip operations with these tags (repeatable)", collect, [])
+    .option("--base-url <url>", "server URL, overriding the spec's first server")
+    .option("--env-prefix <prefix>", "prefix for credential environment variables")
+    .option("-o, --out <dir>", "root tools directory", TOOLS_DIR)
+    .option("-f, --force", "overwrite existing tool modules")
+    .option("--dry-run", "list the files that would be generated without writing them")
+    .action((file, options) => {
+      try {
+        const imported = importOpenApi(readSpec(file), {
+          workspace: options.workspace,
+          tags: options.tag,
+          excludeTags: options.excludeTag,
+          baseUrl: options.baseUrl,
+          envPrefix: options.envPrefix,
+        });
+        // Names are made unique across the whole spec since tools share one namespace
+        const operations = assignUniqueNames(imported.operations);
+
+        const byCollection = new Map();
+        for (const operation of operations) {
+          const collection = options.collection || operation.collection;
+          if (!byCollection.has(collection)) byCollection.set(collection, []);
+          byCollection.get(collection).push(operation);
+        }
+
+        console.log(
+          `\nImporting ${operations.length} operation(s) into ${imported.workspace} ` +
+            `(${byCollection.size} collection(s)):\n`
+        );
+        const results = [...byCollection].flatMap(([collection, group]) =>
+          writeToolModules(group, {
+            toolsDir: path.resolve(options.out),
+            workspace: imported.workspace,
+            collection,
+            force: options.force,
+            dryRun: options.dryRun,
+          })
+        );
+        reportGeneratedTools(results, operations, imported.warnings);
+      } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exitCode = 1;
+      }
+    });
+}
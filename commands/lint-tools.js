@@ -0,0 +1,48 @@
+import { lintTool } from "../lib/lint.js";
+import { loadToolModules } from "../lib/tools.js";
+
+export function registerLintToolsCommand(program) {
+  program
+    .command("lint-tools")
+    .description("Check tools for mismatches between their code, JSDoc and parameter schemas")
+    .option("--strict", "exit with an error on warnings too")
+    .option("--json", "print findings as JSON")
+    .action(async (options) => {
+      const { tools, errors } = await loadToolModules();
+      const results = tools
+        .map((tool) => ({
+          name: tool.definition.function.name,
+          path: tool.path,
+          findings: lintTool(tool),
+        }))
+        .filter((result) => result.findings.length > 0);
+      for (const { path: toolPath, error } of errors) {
+        results.push({
+          name: null,
+          path: toolPath,
+          findings: [{ level: "error", message: `failed to load: ${error.message}` }],
+        });
+      }
+
+      const all = results.flatMap((result) => result.findings);
+      const errorCount = all.filter((finding) => finding.level === "error").length;
+      const warningCount = all.length - errorCount;
+
+      if (options.json) {
+        console.log(JSON.stringify(results, null, 2));
+      } else {
+        for (const { name, path: toolPath, findings } of results) {
+          console.log(`${name ? `${name} ` : ""}(${toolPath})`);
+          for (const { level, message } of findings) {
+            console.log(`  ${level.padEnd(7)}  ${message}`);
+          }
+        }
+        if (results.length > 0) console.log("");
+        console.log(
+          `${tools.length} tool(s) checked: ${errorCount} error(s), ${warningCount} warning(s)`
+        );
+      }
+
+      if (errorCount > 0 || (options.strict && warningCount > 0)) process.exitCode = 1;
+    });
+}
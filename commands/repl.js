@@ -0,0 +1,326 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import readline from "readline";
+import { ErrorCode, McpError } from "@modelcontextprotocol/sdk/types.js";
+import { formatOutput, OUTPUT_FORMATS, parseToolFlags, resultData } from "../lib/cli.js";
+import { callTool, findTool } from "../lib/pipeline.js";
+import { discoverTools } from "../lib/tools.js";
+import { formatValidationErrors } from "../lib/validation.js";
+
+const HISTORY_SIZE = 1000;
+
+const HELP = `Call a tool:
+  <tool> --param value ...        flags as for "node index.js call"
+  <tool> {"param": "value"}       arguments as JSON
+
+Reference earlier results with $1, $2, ... or $_ for the latest, e.g.
+  find_place_from_text --input "Sydney Opera House" --inputtype textquery
+  get_place_details --place-id $_.candidates[0].place_id
+
+Commands:
+  .tools [filter]     list tools
+  .describe <tool>    show a tool's parameters
+  .results            list stored results
+  .format <format>    output format: ${OUTPUT_FORMATS.join(", ")}
+  .help               show this help
+  .exit               leave (or Ctrl+D)`;
+
+const REFERENCE = /^\$(\d+|_)((?:\.[\w$-]+|\[\d+\])*)$/;
+
+// Flags and JSON properties that pass credentials, e.g. --api-key or {"token": ...}
+const CREDENTIAL_FLAG =
+  /(?:--|["'])(?:[\w-]*[-_])?(?:key|api[-_]?key|access[-_]?token|token|secret|password)["']?(?:\s|=|:|$)/i;
+
+function historyFile() {
+  return process.env.REPL_HISTORY_FILE || path.join(os.homedir(), ".mcp-tools-history");
+}
+
+function loadHistory(file) {
+  try {
+    // readline expects the most recent entry first
+    const lines = fs.readFileSync(file, "utf8").split("\n").filter(Boolean);
+    return lines.reverse().slice(0, HISTORY_SIZE);
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Appends a line to the history file, unless it passes credentials.
+ * @param {string} file
+ * @param {string} line
+ */
+function recordHistory(file, line) {
+  if (!line.trim() || CREDENTIAL_FLAG.test(line)) return;
+  try {
+    fs.appendFileSync(file, `${line}\n`);
+  } catch {
+    // History is a convenience; an unwritable file must not end the session
+  }
+}
+
+/**
+ * Truncates the history file to its latest `HISTORY_SIZE` lines.
+ * @param {string} file
+ */
+function trimHistory(file) {
+  try {
+    const lines = fs.readFileSync(file, "utf8").split("\n").filter(Boolean);
+    if (lines.length <= HISTORY_SIZE) return;
+    fs.writeFileSync(file, `${lines.slice(-HISTORY_SIZE).join("\n")}\n`);
+  } catch {
+    // As above
+  }
+}
+
+/**
+ * Splits a line into words, honouring single and double quotes.
+ * @param {string} line
+ * @returns {string[]}
+ */
+function tokenize(line) {
+  const tokens = [];
+  let current = "";
+  let quote = null;
+  let inToken = false;
+
+  for (const char of line) {
+    if (quote) {
+      if (char === quote) quote = null;
+      else current += char;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+      inToken = true;
+    } else if (/\s/.test(char)) {
+      if (inToken) tokens.push(current);
+      current = "";
+      inToken = false;
+    } else {
+      current += char;
+      inToken = true;
+    }
+  }
+  if (quote) throw new Error("Unterminated quote");
+  if (inToken) tokens.push(current);
+  return tokens;
+}
+
+/**
+ * Keeps the results of a session and resolves `$n.path` references to them.
+ */
+class ResultStore {
+  constructor() {
+    this.results = [];
+  }
+
+  add(tool, data) {
+    this.results.push({ tool, data });
+    return this.results.length;
+  }
+
+  entry(id) {
+    const index = id === "_" ? this.results.length : Number(id);
+    return this.results[index - 1];
+  }
+
+  /**
+   * Returns the value a reference points to.
+   * @param {string} reference - E.g. `$2.candidates[0].place_id`.
+   * @returns {*}
+   * @throws {Error} When the result or field does not exist.
+   */
+  resolve(reference) {
+    const [, id, fieldPath] = REFERENCE.exec(reference);
+    const entry = this.entry(id);
+    if (!entry) throw new Error(`No result ${id === "_" ? "yet" : `$${id}`}`);
+
+    let value = entry.data;
+    for (const [, key, index] of fieldPath.matchAll(/\.([\w$-]+)|\[(\d+)\]/g)) {
+      value = value?.[key ?? Number(index)];
+      if (value === undefined) throw new Error(`${reference} does not exist`);
+    }
+    return value;
+  }
+
+  /**
+   * Replaces every string that is exactly a reference, anywhere in `value`.
+   */
+  substitute(value) {
+    if (typeof value === "string") return REFERENCE.test(value) ? this.resolve(value) : value;
+    if (Array.isArray(value)) return value.map((item) => this.substitute(item));
+    if (value && typeof value === "object") {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [key, this.substitute(item)])
+      );
+    }
+    return value;
+  }
+
+  /**
+   * Lists the references that extend `partial` by one field, for completion.
+   */
+  complete(partial) {
+    const dot = Math.max(partial.lastIndexOf("."), partial.lastIndexOf("["));
+    if (dot === -1) {
+      return ["$_", ...this.results.map((_, index) => `$${index + 1}`)].filter((ref) =>
+        ref.startsWith(partial)
+      );
+    }
+    let parent;
+    try {
+      parent = this.resolve(partial.slice(0, dot));
+    } catch {
+      return [];
+    }
+    if (!parent || typeof parent !== "object") return [];
+    const base = partial.slice(0, dot);
+    const children = Array.isArray(parent)
+      ? parent.map((_, index) => `${base}[${index}]`)
+      : Object.keys(parent).map((key) => `${base}.${key}`);
+    return children.filter((ref) => ref.startsWith(partial));
+  }
+}
+
+function describeTool(tool) {
+  const { name, description, parameters } = tool.definition.function;
+  const required = new Set(parameters?.required || []);
+  const lines = [name, `  ${description || "No description provided"}`];
+  for (const [param, schema] of Object.entries(parameters?.properties || {})) {
+    const type = [].concat(schema.type || "any").join("|");
+    const flags = [type, required.has(param) && "required"].filter(Boolean).join(", ");
+    lines.push(`  --${param} (${flags})${schema.description ? `: ${schema.description}` : ""}`);
+  }
+  return lines.join("\n");
+}
+
+export function registerReplCommand(program) {
+  program
+    .command("repl")
+    .description("Start an interactive shell for calling and chaining tools")
+    .option("-o, --output <format>", `output format: ${OUTPUT_FORMATS.join(", ")}`, "pretty")
+    .action(async (options) => {
+      const tools = await discoverTools();
+      const toolNames = tools.map((tool) => tool.definition.function.name).sort();
+      const commands = [".tools", ".describe", ".results", ".format", ".help", ".exit"];
+      const store = new ResultStore();
+      let format = OUTPUT_FORMATS.includes(options.output) ? options.output : "pretty";
+
+      const completer = (line) => {
+        const words = line.split(/\s+/);
+        const current = words[words.length - 1];
+        let candidates = [];
+        if (words.length === 1) {
+          candidates = [...toolNames, ...commands];
+        } else if (words[0] === ".describe" && words.length === 2) {
+          candidates = toolNames;
+        } else if (words[0] === ".format" && words.length === 2) {
+          candidates = OUTPUT_FORMATS;
+        } else if (current.startsWith("$")) {
+          candidates = store.complete(current);
+        } else {
+          const tool = findTool(tools, words[0]);
+          const used = new Set(words.slice(1, -1));
+          candidates = Object.keys(tool?.definition.function.parameters?.properties || {})
+            .map((param) => `--${param}`)
+            .filter((flag) => !used.has(flag));
+        }
+        const hits = candidates.filter((candidate) => candidate.startsWith(current));
+        return [hits, current];
+      };
+
+      const file = historyFile();
+      const rl = readline.createInterface({
+        input: process.stdin,
+        output: process.stdout,
+        completer,
+        history: loadHistory(file),
+        historySize: HISTORY_SIZE,
+        prompt: "tools> ",
+      });
+
+      const run = async (line) => {
+        const first = line.trim().split(/\s+/)[0];
+        const remainder = line.trim().slice(first.length).trim();
+        // JSON arguments are parsed as-is; everything else is split into words
+        const rest = remainder.startsWith("{") ? [] : tokenize(remainder);
+        if (!first) return;
+
+        if (first === ".exit") return rl.close();
+        if (first === ".help") return console.log(HELP);
+        if (first === ".tools") {
+          const filter = (rest[0] || "").toLowerCase();
+          return tools
+            .filter((tool) => tool.definition.function.name.includes(filter))
+            .forEach(({ definition: { function: fn } }) =>
+              console.log(`${fn.name.padEnd(28)} ${fn.description || ""}`)
+            );
+        }
+        if (first === ".describe") {
+          const tool = findTool(tools, rest[0]);
+          return console.log(tool ? describeTool(tool) : `Unknown tool "${rest[0]}"`);
+        }
+        if (first === ".results") {
+          if (store.results.length === 0) return console.log("No results yet.");
+          return store.results.forEach(({ tool }, index) => console.log(`$${index + 1}  ${tool}`));
+        }
+        if (first === ".format") {
+          if (!OUTPUT_FORMATS.includes(rest[0])) {
+            return console.log(`Output format is ${format}; choose one of ${OUTPUT_FORMATS.join(", ")}`);
+          }
+          format = rest[0];
+          return;
+        }
+        if (REFERENCE.test(first)) {
+          return console.log(formatOutput(store.resolve(first), format));
+        }
+
+        const tool = findTool(tools, first);
+        if (!tool) {
+          return console.log(`Unknown tool "${first}". Type .tools to list them.`);
+        }
+
+        let args;
+        if (remainder.startsWith("{")) {
+          args = JSON.parse(remainder);
+        } else {
+          const parsed = parseToolFlags(tool.definition.function.parameters, rest);
+          if (parsed.errors.length) return console.log(parsed.errors.join("\n"));
+          args = parsed.args;
+        }
+
+        try {
+          const result = await callTool(tool, store.substitute(args));
+          const data = resultData(result);
+          if (result.isError) return console.log(formatOutput(data, "pretty"));
+          const id = store.add(first, data);
+          console.log(formatOutput(data, format));
+          console.log(`\n(stored as $${id})`);
+        } catch (error) {
+          if (error instanceof McpError && error.code === ErrorCode.InvalidParams) {
+            return console.log(`Invalid arguments: ${formatValidationErrors(error.data?.errors || [])}`);
+          }
+          throw error;
+        }
+      };
+
+      let closed = false;
+      rl.on("close", () => {
+        closed = true;
+        trimHistory(file);
+      });
+
+      console.log(`${tools.length} tools loaded. Type .help for help, Tab to complete.`);
+      rl.prompt();
+      for await (const line of rl) {
+        recordHistory(file, line);
+        try {
+          await run(line);
+        } catch (error) {
+          console.log(`Error: ${error.message}`);
+        }
+        if (closed) break;
+        rl.prompt();
+      }
+    });
+}
@@ -0,0 +1,162 @@
+import fs from "fs";
+import { measureCall, OUTCOME_UNKNOWN_TOOL, readAuditLog } from "../lib/audit.js";
+import { matchesAny } from "../lib/glob.js";
+import { REDACTED } from "../lib/logger.js";
+import { callTool, findTool } from "../lib/pipeline.js";
+import { discoverTools } from "../lib/tools.js";
+
+// Exit codes, so scripts can tell a changed outcome apart from bad input
+export const EXIT_OUTCOME_CHANGED = 1;
+export const EXIT_INVALID_INPUT = 2;
+
+function collect(value, previous) {
+  return previous.concat(value.split(",").map((item) => item.trim()).filter(Boolean));
+}
+
+function parseTime(value, flag) {
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) throw new Error(`${flag} is not a valid date: ${value}`);
+  return time;
+}
+
+function recordFilter(options) {
+  const since = options.since && parseTime(options.since, "--since");
+  const until = options.until && parseTime(options.until, "--until");
+  return (record) => {
+    const time = Date.parse(record.time);
+    return (
+      (options.tool.length === 0 || matchesAny(record.tool, options.tool)) &&
+      (options.outcome.length === 0 || options.outcome.includes(record.outcome)) &&
+      (!options.session || record.session === options.session) &&
+      (!options.client || record.client === options.client) &&
+      (!since || time >= since) &&
+      (!until || time < until)
+    );
+  };
+}
+
+/**
+ * Recorded arguments without the redacted credentials, which replays take
+ * from the environment instead.
+ */
+function replayArguments(record) {
+  return Object.fromEntries(
+    Object.entries(record.arguments || {}).filter(([, value]) => value !== REDACTED)
+  );
+}
+
+async function replay(record, tools) {
+  const tool = findTool(tools, record.tool);
+  if (!tool) return { outcome: OUTCOME_UNKNOWN_TOOL, durationMs: 0, responseBytes: 0 };
+  return measureCall(() => callTool(tool, replayArguments(record)));
+}
+
+function formatBytes(bytes) {
+  return bytes === undefined ? "?" : `${bytes} B`;
+}
+
+export function registerReplayCommand(program) {
+  program
+    .command("replay <file>")
+    .description("Re-execute tool calls from an audit log and compare their outcomes")
+    .option(
+      "-t, --tool <patterns>",
+      "only calls to tools matching these names or globs (repeatable)",
+      collect,
+      []
+    )
+    .option(
+      "--outcome <codes>",
+      "only calls that recorded these outcomes, e.g. OK (repeatable)",
+      collect,
+      []
+    )
+    .option("--session <id>", "only calls from this session")
+    .option("--client <id>", "only calls from this client")
+    .option("--since <time>", "only calls made at or after this time")
+    .option("--until <time>", "only calls made before this time")
+    .option("-n, --limit <count>", "replay at most this many calls", Number)
+    .option("--cache", "allow cached results; by default every call reaches the API")
+    .option("--dry-run", "list the matching calls without executing them")
+    .option("--json", "print one JSON line per call")
+    .addHelpText(
+      "after",
+      `
+Calls run one at a time with the credentials from the environment, in place
+of the redacted ones in the log. Outcomes are compared by code (OK or the
+error code); response sizes are shown for reference.
+
+Exit codes: 0 when every outcome matches, ${EXIT_OUTCOME_CHANGED} when any changed,
+${EXIT_INVALID_INPUT} for unreadable input.`
+    )
+    .action(async (file, options) => {
+      let records;
+      try {
+        if (!fs.existsSync(file)) throw new Error(`no such file: ${file}`);
+        const { records: all, errors } = readAuditLog(file);
+        for (const { line, message } of errors) {
+          console.error(`Warning: skipping line ${line}: ${message}`);
+        }
+        records = all.filter(recordFilter(options));
+      } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exitCode = EXIT_INVALID_INPUT;
+        return;
+      }
+      if (options.limit > 0) records = records.slice(0, options.limit);
+
+      if (records.length === 0) {
+        console.log("No matching calls.");
+        return;
+      }
+      if (options.dryRun) {
+        for (const record of records) {
+          console.log(
+            options.json
+              ? JSON.stringify(record)
+              : `${record.time}  ${record.tool}  ${record.outcome}  ` +
+                  JSON.stringify(replayArguments(record))
+          );
+        }
+        if (!options.json) console.log(`\n${records.length} call(s) would be replayed.`);
+        return;
+      }
+
+      // A replay should see what the API returns now, not what an earlier call cached
+      if (!options.cache) process.env.CACHE_DISABLED = "true";
+      const tools = await discoverTools();
+
+      let changed = 0;
+      for (const record of records) {
+        const { outcome, durationMs, responseBytes } = await replay(record, tools);
+        const same = outcome === record.outcome;
+        if (!same) changed++;
+        if (options.json) {
+          console.log(
+            JSON.stringify({
+              time: record.time,
+              requestId: record.requestId,
+              tool: record.tool,
+              recorded: { outcome: record.outcome, responseBytes: record.responseBytes },
+              replayed: { outcome, responseBytes, durationMs },
+              changed: !same,
+            })
+          );
+        } else {
+          console.log(
+            `${same ? " " : "!"} ${record.time}  ${record.tool}  ` +
+              `${record.outcome} -> ${outcome}  ` +
+              `(${formatBytes(record.responseBytes)} -> ${formatBytes(responseBytes)})`
+          );
+        }
+      }
+
+      if (!options.json) {
+        const unchanged = records.length - changed;
+        console.log(
+          `\nReplayed ${records.length} call(s): ${unchanged} unchanged, ${changed} changed.`
+        );
+      }
+      if (changed > 0) process.exitCode = EXIT_OUTCOME_CHANGED;
+    });
+}
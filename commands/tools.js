@@ -1,65 +1,216 @@
-import { discoverTools } from "../lib/tools.js";
+import { findTool } from "../lib/pipeline.js";
+import { discoverTools, toolLocation } from "../lib/tools.js";
+
+const CONSTRAINT_KEYWORDS = [
+  "minimum",
+  "maximum",
+  "exclusiveMinimum",
+  "exclusiveMaximum",
+  "minLength",
+  "maxLength",
+  "pattern",
+  "minItems",
+  "maxItems",
+];
+
+/**
+ * Flattens a tool's parameter schema into one entry per parameter.
+ * @param {Object} schema - The tool's `parameters` schema.
+ * @returns {Array<Object>}
+ */
+function describeParameters(schema) {
+  const required = new Set(schema?.required || []);
+  return Object.entries(schema?.properties || {}).map(([name, property]) => ({
+    name,
+    type: [].concat(property.type || "any").join("|"),
+    required: required.has(name),
+    description: property.description || "",
+    ...(property.enum && { enum: property.enum }),
+    ...(property.default !== undefined && { default: property.default }),
+    ...Object.fromEntries(
+      CONSTRAINT_KEYWORDS.filter((key) => property[key] !== undefined).map((key) => [
+        key,
+        property[key],
+      ])
+    ),
+  }));
+}
+
+function describeTool(tool) {
+  const { name, description, parameters } = tool.definition.function;
+  return {
+    name,
+    description: description || "",
+    ...toolLocation(tool),
+    source: tool.path,
+    parameters: describeParameters(parameters),
+    inputSchema: parameters,
+    ...(tool.outputSchema && { outputSchema: tool.outputSchema }),
+  };
+}
+
+function parameterSummary(param) {
+  const details = [param.type];
+  if (param.required) details.push("required");
+  if (param.default !== undefined) details.push(`default: ${JSON.stringify(param.default)}`);
+  if (param.enum) details.push(`one of: ${param.enum.join(" | ")}`);
+  for (const key of CONSTRAINT_KEYWORDS) {
+    if (param[key] !== undefined) details.push(`${key}: ${param[key]}`);
+  }
+  return `${param.name} (${details.join(", ")}): ${param.description || "No description"}`;
+}
+
+function printText(described) {
+  console.log("\nAvailable Tools:\n");
+
+  let workspace;
+  let collection;
+  for (const tool of described) {
+    if (tool.workspace !== workspace) {
+      if (workspace !== undefined) console.log("");
+      workspace = tool.workspace;
+      collection = undefined;
+      console.log(`Workspace: ${workspace}`);
+    }
+    if (tool.collection !== collection) {
+      collection = tool.collection;
+      console.log(`  Collection: ${collection}`);
+    }
+    console.log(`    ${tool.name}`);
+    console.log(`      Description: ${tool.description || "No description provided"}`);
+    if (tool.parameters.length) {
+      console.log("      Parameters:");
+      for (const param of tool.parameters) {
+        console.log(`        - ${parameterSummary(param)}`);
+      }
+    }
+    console.log("");
+  }
+}
+
+const escapeCell = (text) => String(text).replace(/\|/g, "\\|").replace(/\n/g, " ");
+
+function toMarkdown(described) {
+  const lines = ["# Tools", ""];
+  let group;
+  for (const tool of described) {
+    const toolGroup = `${tool.workspace} / ${tool.collection}`;
+    if (toolGroup !== group) {
+      group = toolGroup;
+      lines.push(`## ${group}`, "");
+    }
+    lines.push(`### \`${tool.name}\``, "", tool.description || "No description provided.", "");
+    if (tool.parameters.length) {
+      lines.push("| Parameter | Type | Required | Default | Description |");
+      lines.push("| --- | --- | --- | --- | --- |");
+      for (const param of tool.parameters) {
+        const description = [
+          param.description,
+          param.enum && `One of: ${param.enum.map((value) => `\`${value}\``).join(", ")}.`,
+        ]
+          .filter(Boolean)
+          .join(" ");
+        lines.push(
+          `| \`${param.name}\` | ${escapeCell(param.type)} | ${param.required ? "yes" : "no"} | ` +
+            `${param.default !== undefined ? `\`${escapeCell(JSON.stringify(param.default))}\`` : ""} | ` +
+            `${escapeCell(description)} |`
+        );
+      }
+      lines.push("");
+    }
+  }
+  return lines.join("\n");
+}
+
+function matchesFilters(tool, options) {
+  if (options.workspace && tool.workspace !== options.workspace) return false;
+  if (options.collection && tool.collection !== options.collection) return false;
+  if (options.grep) {
+    const pattern = new RegExp(options.grep, "i");
+    const haystack = [tool.name, tool.description, ...tool.parameters.map((param) => param.name)];
+    if (!haystack.some((text) => pattern.test(text))) return false;
+  }
+  return true;
+}
 
 export function registerToolsCommand(program) {
-  program
+  const tools = program
     .command("tools")
     .description("List all available API tools")
-    .action(async () => {
-      const tools = await discoverTools();
-      if (tools.length === 0) {
-        console.log("No tools found. Tools should be organized as:");
-        console.log("tools/workspace/collection/request.js\n");
+    .option("--json", "print the tools as JSON")
+    .option("--markdown", "print the tools as a Markdown document")
+    .option("-w, --workspace <name>", "only list tools in this workspace")
+    .option("-c, --collection <name>", "only list tools in this collection")
+    .option("-g, --grep <pattern>", "only list tools whose name, description or parameters match")
+    .action(async (options) => {
+      let described;
+      try {
+        described = (await discoverTools())
+          .map(describeTool)
+          .filter((tool) => matchesFilters(tool, options));
+      } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exitCode = 1;
         return;
       }
 
-      console.log("\nAvailable Tools:\n");
-
-      // Group tools by workspace/collection
-      const groupedTools = tools.reduce((acc, tool) => {
-        // Extract workspace and collection from path
-        const parts = tool.path.split("/");
-        const workspace = parts[1] || "Unknown Workspace";
-        const collection = parts[2] || "Unknown Collection";
-
-        if (!acc[workspace]) acc[workspace] = {};
-        if (!acc[workspace][collection]) acc[workspace][collection] = [];
+      if (options.json) {
+        console.log(JSON.stringify(described, null, 2));
+        return;
+      }
+      if (described.length === 0 && (options.workspace || options.collection || options.grep)) {
+        console.log("No tools match the given filters.");
+        return;
+      }
+      if (described.length === 0) {
+        console.log("No tools found. Tools should be organized as:");
+        console.log("tools/workspace/collection/request.js (or request.yaml)\n");
+        return;
+      }
+      if (options.markdown) {
+        console.log(toMarkdown(described));
+        return;
+      }
+      printText(described);
+    });
 
-        acc[workspace][collection].push(tool);
-        return acc;
-      }, {});
+  tools
+    .command("show <name>")
+    .description("Show the full definition of one tool")
+    .option("--json", "print the tool as JSON")
+    .action(async (name, options) => {
+      const tool = findTool(await discoverTools(), name);
+      if (!tool) {
+        console.error(`Error: unknown tool "${name}"`);
+        process.exitCode = 1;
+        return;
+      }
 
-      // Print tools in a hierarchical structure
-      for (const [workspace, collections] of Object.entries(groupedTools)) {
-        console.log(`Workspace: ${workspace}`);
-        for (const [collection, tools] of Object.entries(collections)) {
-          console.log(`  Collection: ${collection}`);
-          tools.forEach(
-            ({
-              definition: {
-                function: { name, description, parameters },
-              },
-            }) => {
-              console.log(`    ${name}`);
-              console.log(
-                `      Description: ${description || "No description provided"}`
-              );
-              if (parameters?.properties) {
-                console.log("      Parameters:");
-                Object.entries(parameters.properties).forEach(
-                  ([name, details]) => {
-                    console.log(
-                      `        - ${name}: ${
-                        details.description || "No description"
-                      }`
-                    );
-                  }
-                );
-              }
-              console.log("");
-            }
-          );
-        }
-        console.log("");
+      const described = describeTool(tool);
+      if (options.json) {
+        console.log(JSON.stringify(described, null, 2));
+        return;
+      }
+      console.log(`\n${described.name}`);
+      console.log(`  Description: ${described.description || "No description provided"}`);
+      console.log(`  Workspace:   ${described.workspace}`);
+      console.log(`  Collection:  ${described.collection}`);
+      console.log(`  Source:      ${described.source}`);
+      if (tool.cache?.ttlSeconds) console.log(`  Cache TTL:   ${tool.cache.ttlSeconds}s`);
+      if (tool.pagination) console.log("  Pagination:  supports fetchAll/maxPages");
+      console.log("  Parameters:");
+      for (const param of described.parameters) {
+        console.log(`    - ${parameterSummary(param)}`);
+      }
+      if (described.outputSchema) {
+        console.log("  Output schema:");
+        console.log(
+          JSON.stringify(described.outputSchema, null, 2)
+            .split("\n")
+            .map((line) => `    ${line}`)
+            .join("\n")
+        );
       }
+      console.log("");
     });
-}
\ No newline at end of file
+}
@@ -1,9 +1,44 @@
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
 import { Command } from "commander";
+import { registerCacheCommand } from "./commands/cache.js";
+import { registerCallCommand } from "./commands/call.js";
+import { registerConfigureClientCommand } from "./commands/configure-client.js";
+import { registerDoctorCommand } from "./commands/doctor.js";
+import { registerExportCommand } from "./commands/export.js";
+import { registerExportPostmanCommand } from "./commands/export-postman.js";
+import { registerImportCollectionCommand } from "./commands/import-collection.js";
+import { registerImportOpenApiCommand } from "./commands/import-openapi.js";
+import { registerLintToolsCommand } from "./commands/lint-tools.js";
+import { registerReplCommand } from "./commands/repl.js";
+import { registerReplayCommand } from "./commands/replay.js";
 import { registerToolsCommand } from "./commands/tools.js";
+import { LOG_OFF, setLogLevel } from "./lib/logger.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+dotenv.config({ path: path.resolve(__dirname, ".env") });
 
 const program = new Command();
 
+// Commands report outcomes themselves; structured logs would only clutter stderr and the REPL
+program
+  .option("-v, --verbose", "log tool calls and upstream requests to stderr")
+  .hook("preAction", () => setLogLevel(program.opts().verbose ? "debug" : LOG_OFF));
+
 // Register commands
 registerToolsCommand(program);
+registerCacheCommand(program);
+registerCallCommand(program);
+registerConfigureClientCommand(program);
+registerDoctorCommand(program);
+registerExportCommand(program);
+registerExportPostmanCommand(program);
+registerImportCollectionCommand(program);
+registerImportOpenApiCommand(program);
+registerLintToolsCommand(program);
+registerReplCommand(program);
+registerReplayCommand(program);
 
 program.parse(process.argv);
@@ -0,0 +1,259 @@
+import fs from "fs";
+import path from "path";
+import { ErrorCode, McpError } from "@modelcontextprotocol/sdk/types.js";
+import { FORBIDDEN } from "./auth.js";
+import { loadConfig, PROJECT_ROOT } from "./config.js";
+import { ErrorCodes, toToolError } from "./errors.js";
+import { createLogger, logContext, redact, REDACTED } from "./logger.js";
+import { INVALID_ARGUMENTS } from "./pipeline.js";
+
+/**
+ * Audit log of tool calls.
+ *
+ * When enabled, every `tools/call` the MCP server handles appends one JSON
+ * line to the audit file:
+ *
+ *   {"time":"2026-10-19T16:36:02.542Z","requestId":"a3c9...","session":"5f1e...",
+ *    "client":"team-a","clientInfo":{"name":"inspector","version":"0.9.0"},
+ *    "tool":"get_time_zone","arguments":{"location":"1,2"},"durationMs":84,
+ *    "outcome":"OK","responseBytes":312}
+ *
+ * `outcome` is `OK` or the error code of the failure (see lib/errors.js).
+ * Calls refused before they reach the tool are recorded too, as
+ * INVALID_ARGUMENTS when validation rejects them, UNKNOWN_TOOL when no tool
+ * has the name and FORBIDDEN when the caller's scopes do not cover the tool
+ * (see lib/auth.js), whether the MCP server or the HTTP middleware refused
+ * the call. Credential arguments
+ * and API keys are redacted. Once the file would exceed `maxBytes` it is
+ * renamed to `<file>.1`, older files shift to `.2`, `.3` and so on, and
+ * files beyond `maxFiles` are dropped. `node index.js replay` re-executes
+ * recorded calls.
+ *
+ * Off unless a file is configured, by `audit` in mcp.config.json with
+ * environment variables taking precedence:
+ *
+ *   {
+ *     "audit": {
+ *       "file": "logs/audit.jsonl",   // AUDIT_FILE, relative to the project root
+ *       "maxBytes": 10485760,         // AUDIT_MAX_BYTES
+ *       "maxFiles": 5                 // AUDIT_MAX_FILES
+ *     }
+ *   }
+ */
+
+export const OUTCOME_OK = "OK";
+export const OUTCOME_UNKNOWN_TOOL = "UNKNOWN_TOOL";
+export const OUTCOME_FORBIDDEN = "FORBIDDEN";
+
+// Outcomes of calls refused with an MCP error, by JSON-RPC error code
+const REFUSED_OUTCOMES = {
+  [ErrorCode.MethodNotFound]: OUTCOME_UNKNOWN_TOOL,
+  [FORBIDDEN]: OUTCOME_FORBIDDEN,
+};
+
+// Arguments that carry credentials
+const SECRET_ARGUMENT = /^(key|api[-_]?key|access[-_]?token|token|secret|password)$/i;
+
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024;
+const DEFAULT_MAX_FILES = 5;
+
+const log = createLogger("audit");
+
+const envValue = (name) => process.env[name] || undefined;
+
+/**
+ * Returns the audit settings, or null when auditing is off.
+ * @returns {{ file: string, maxBytes: number, maxFiles: number }|null}
+ * @throws {Error} If the limits are invalid.
+ */
+export function auditOptions() {
+  const { audit = {} } = loadConfig();
+  const file = envValue("AUDIT_FILE") || audit.file;
+  if (!file) return null;
+  const rawMaxBytes = envValue("AUDIT_MAX_BYTES") ?? audit.maxBytes ?? DEFAULT_MAX_BYTES;
+  const rawMaxFiles = envValue("AUDIT_MAX_FILES") ?? audit.maxFiles ?? DEFAULT_MAX_FILES;
+  const maxBytes = Number(rawMaxBytes);
+  const maxFiles = Number(rawMaxFiles);
+  if (!Number.isFinite(maxBytes) || maxBytes <= 0) {
+    throw new Error(`Invalid audit maxBytes "${rawMaxBytes}"; expected a positive number`);
+  }
+  if (!Number.isInteger(maxFiles) || maxFiles < 0) {
+    throw new Error(`Invalid audit maxFiles "${rawMaxFiles}"; expected a whole number`);
+  }
+  return { file: path.resolve(PROJECT_ROOT, file), maxBytes, maxFiles };
+}
+
+/**
+ * Appends records to a JSON-lines file, rotating it by size.
+ */
+export class AuditLog {
+  /**
+   * @param {Object} options - As returned by `auditOptions()`.
+   */
+  constructor({ file, maxBytes, maxFiles }) {
+    this.file = file;
+    this.maxBytes = maxBytes;
+    this.maxFiles = maxFiles;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    this.size = fs.existsSync(file) ? fs.statSync(file).size : 0;
+  }
+
+  append(record) {
+    const line = `${JSON.stringify(record)}\n`;
+    const bytes = Buffer.byteLength(line);
+    if (this.size > 0 && this.size + bytes > this.maxBytes) this.rotate();
+    fs.appendFileSync(this.file, line);
+    this.size += bytes;
+  }
+
+  rotate() {
+    for (let index = this.maxFiles - 1; index >= 1; index--) {
+      const from = `${this.file}.${index}`;
+      if (fs.existsSync(from)) fs.renameSync(from, `${this.file}.${index + 1}`);
+    }
+    if (this.maxFiles > 0) {
+      fs.renameSync(this.file, `${this.file}.1`);
+    } else {
+      fs.rmSync(this.file);
+    }
+    this.size = 0;
+  }
+}
+
+let auditLog;
+
+/**
+ * Returns the process-wide audit log, or null when auditing is off.
+ * @returns {AuditLog|null}
+ * @throws {Error} If the audit settings are invalid.
+ */
+export function getAuditLog() {
+  if (auditLog === undefined) {
+    const options = auditOptions();
+    auditLog = options ? new AuditLog(options) : null;
+  }
+  return auditLog;
+}
+
+/**
+ * Copies tool arguments with credential arguments and API keys masked.
+ * @param {Object} [args]
+ * @param {string[]} [secrets] - Credential values to mask wherever they appear.
+ * @returns {Object}
+ */
+export function redactArguments(args, secrets = []) {
+  const walk = (value, key) => {
+    if (key !== undefined && SECRET_ARGUMENT.test(key)) return REDACTED;
+    if (Array.isArray(value)) return value.map((item) => walk(item));
+    if (value && typeof value === "object") {
+      return Object.fromEntries(
+        Object.entries(value).map(([name, item]) => [name, walk(item, name)])
+      );
+    }
+    return typeof value === "string" ? redact(value, secrets) : value;
+  };
+  return walk(args ?? {});
+}
+
+/**
+ * Returns the outcome code of a `CallToolResult`: `OK`, or the code of the
+ * error it carries.
+ * @param {Object} result
+ * @returns {string}
+ */
+export function callOutcome(result) {
+  if (!result?.isError) return OUTCOME_OK;
+  try {
+    return JSON.parse(result.content[0].text).error.code || ErrorCodes.INTERNAL_ERROR;
+  } catch {
+    return ErrorCodes.INTERNAL_ERROR;
+  }
+}
+
+/**
+ * Runs a tool call and measures it. Errors thrown by the call are caught and
+ * returned, so callers decide whether to rethrow them.
+ * @param {() => Promise<Object>} execute - Runs the call, e.g. with `callTool()`.
+ * @returns {Promise<{ result?: Object, error?: Error, outcome: string, durationMs: number, responseBytes: number }>}
+ */
+export async function measureCall(execute) {
+  const started = performance.now();
+  const elapsedMs = () => Math.round(performance.now() - started);
+  try {
+    const result = await execute();
+    return {
+      result,
+      outcome: callOutcome(result),
+      durationMs: elapsedMs(),
+      responseBytes: Buffer.byteLength(JSON.stringify(result)),
+    };
+  } catch (error) {
+    return {
+      error,
+      outcome:
+        error instanceof McpError
+          ? (REFUSED_OUTCOMES[error.code] ?? INVALID_ARGUMENTS)
+          : toToolError(error).code,
+      durationMs: elapsedMs(),
+      responseBytes: 0,
+    };
+  }
+}
+
+/**
+ * Runs a tool call and, when auditing is on, appends its record. The
+ * correlation ID, session and client come from the current log context
+ * (see lib/logger.js). Failing to write the record is logged, not thrown.
+ * @param {Object} call
+ * @param {string} call.tool - Tool name.
+ * @param {Object} [call.arguments] - Arguments as received from the client.
+ * @param {Object} [call.clientInfo] - Client name and version from `initialize`.
+ * @param {() => Promise<Object>} execute - Runs the call.
+ * @returns {Promise<Object>} The call's result.
+ */
+export async function auditToolCall(call, execute) {
+  const audit = getAuditLog();
+  if (!audit) return execute();
+
+  const time = new Date().toISOString();
+  const { result, error, outcome, durationMs, responseBytes } = await measureCall(execute);
+  const { fields, secrets } = logContext();
+  try {
+    audit.append({
+      time,
+      ...fields,
+      ...(call.clientInfo && { clientInfo: call.clientInfo }),
+      tool: call.tool,
+      arguments: redactArguments(call.arguments, secrets),
+      durationMs,
+      outcome,
+      responseBytes,
+    });
+  } catch (appendError) {
+    log.error("Failed to write audit record", { tool: call.tool, error: appendError.message });
+  }
+  if (error) throw error;
+  return result;
+}
+
+/**
+ * Reads the records of an audit file.
+ * @param {string} file
+ * @returns {{ records: Object[], errors: Array<{ line: number, message: string }> }}
+ *   Lines that are not valid JSON are reported in `errors` and skipped.
+ */
+export function readAuditLog(file) {
+  const records = [];
+  const errors = [];
+  fs.readFileSync(file, "utf8")
+    .split("\n")
+    .forEach((text, index) => {
+      if (!text.trim()) return;
+      try {
+        records.push(JSON.parse(text));
+      } catch (error) {
+        errors.push({ line: index + 1, message: error.message });
+      }
+    });
+  return { records, errors };
+}
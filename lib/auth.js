@@ -0,0 +1,281 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { createLocalJWKSet, jwtVerify } from "jose";
+import { getOAuthProtectedResourceMetadataUrl } from "@modelcontextprotocol/sdk/server/auth/router.js";
+import {
+  InsufficientScopeError,
+  InvalidTokenError,
+} from "@modelcontextprotocol/sdk/server/auth/errors.js";
+import { McpError } from "@modelcontextprotocol/sdk/types.js";
+import { loadConfig, PROJECT_ROOT } from "./config.js";
+import { matchesAny } from "./glob.js";
+import { createLogger } from "./logger.js";
+
+/**
+ * Authentication and authorization for the HTTP transports.
+ *
+ * Configured by `auth` in mcp.config.json; without it the HTTP endpoints are
+ * open, as before.
+ *
+ *   {
+ *     "auth": {
+ *       "mode": "static",                 // static | jwt
+ *       "tokens": [                       // static mode
+ *         { "token": "...", "client": "team-a", "scopes": ["maps"] },
+ *         { "tokenEnv": "TEAM_B_TOKEN", "client": "team-b", "scopes": ["weather"] }
+ *       ],
+ *       "jwt": {                          // jwt mode (OAuth 2.1 resource server)
+ *         "jwksFile": "keys/jwks.json",   // relative to the project root
+ *         "issuer": "https://auth.example.com",
+ *         "audience": "https://mcp.example.com/mcp"   // defaults to `resource`; one is required
+ *       },
+ *       "resource": "https://mcp.example.com/mcp",    // defaults to the request URL
+ *       "authorizationServers": ["https://auth.example.com"],  // defaults to the issuer
+ *       "scopes": {                       // scope -> tool name globs it unlocks
+ *         "maps": ["get_*", "text_search", "nearby_search"],
+ *         "weather": ["*_conditions", "forecast_*"]
+ *       }
+ *     }
+ *   }
+ *
+ * Tokens are sent as `Authorization: Bearer <token>`. Verified tokens become
+ * the SDK's `AuthInfo` on `req.auth`, which the transports hand to request
+ * handlers as `extra.authInfo`. When `scopes` is configured a token can only
+ * list and call the tools its scopes unlock; without it every token can use
+ * every tool. A call to a tool the token's scopes do not cover is answered
+ * with 403 and an `insufficient_scope` challenge by the HTTP middleware, or,
+ * when it reaches the MCP server, with a `FORBIDDEN` JSON-RPC error carrying
+ * the same OAuth error as its `data`.
+ */
+
+const MODES = ["static", "jwt"];
+
+// JSON-RPC error code of tool calls the caller's scopes do not cover
+export const FORBIDDEN = -32003;
+
+// jose uses the Web Crypto global, which Node 18 does not define
+if (!globalThis.crypto) globalThis.crypto = crypto.webcrypto;
+
+const log = createLogger("auth");
+
+/**
+ * Returns the auth configuration, or null when the HTTP endpoints are open.
+ * @returns {Object|null}
+ * @throws {Error} If the configuration is invalid.
+ */
+export function authOptions() {
+  const { auth } = loadConfig();
+  if (!auth) return null;
+  if (!MODES.includes(auth.mode)) {
+    throw new Error(`Invalid auth.mode "${auth.mode}"; expected one of ${MODES.join(", ")}`);
+  }
+  if (auth.mode === "static" && !Array.isArray(auth.tokens)) {
+    throw new Error("auth.tokens must be a list in static mode");
+  }
+  if (auth.mode === "jwt" && !auth.jwt?.jwksFile) {
+    throw new Error("auth.jwt.jwksFile is required in jwt mode");
+  }
+  // Without an audience, tokens issued for other services would be accepted
+  if (auth.mode === "jwt" && !auth.jwt.audience && !auth.resource) {
+    throw new Error("auth.jwt.audience or auth.resource is required in jwt mode");
+  }
+  return auth;
+}
+
+const digest = (value) => crypto.createHash("sha256").update(value).digest();
+
+function staticVerifier(options) {
+  const tokens = options.tokens.map((entry, index) => {
+    const token = entry.tokenEnv ? process.env[entry.tokenEnv] : entry.token;
+    if (!token) {
+      const reason = entry.tokenEnv ? ` (${entry.tokenEnv} is not set)` : "";
+      log.warning(`auth.tokens[${index}] has no token${reason}; it is ignored`);
+    }
+    return { ...entry, hash: token && digest(token) };
+  });
+
+  return async (token) => {
+    const hash = digest(token);
+    const match = tokens.find((entry) => entry.hash && crypto.timingSafeEqual(entry.hash, hash));
+    if (!match) throw new InvalidTokenError("Unknown token");
+    return {
+      token,
+      clientId: match.client || "static",
+      scopes: match.scopes || [],
+    };
+  };
+}
+
+function jwtVerifier(options) {
+  const audience = options.jwt.audience || options.resource;
+  if (!audience) throw new Error("auth.jwt.audience or auth.resource is required in jwt mode");
+  const file = path.resolve(PROJECT_ROOT, options.jwt.jwksFile);
+  let jwks;
+  try {
+    jwks = createLocalJWKSet(JSON.parse(fs.readFileSync(file, "utf8")));
+  } catch (error) {
+    throw new Error(`Cannot read JWKS file ${file}: ${error.message}`);
+  }
+
+  return async (token) => {
+    let payload;
+    try {
+      ({ payload } = await jwtVerify(token, jwks, {
+        ...(options.jwt.issuer && { issuer: options.jwt.issuer }),
+        audience,
+        requiredClaims: ["exp"],
+      }));
+    } catch (error) {
+      throw new InvalidTokenError(error.message);
+    }
+    const scopes = Array.isArray(payload.scp)
+      ? payload.scp
+      : String(payload.scope || payload.scp || "").split(" ").filter(Boolean);
+    return {
+      token,
+      clientId: payload.client_id || payload.azp || payload.sub || "unknown",
+      scopes,
+      expiresAt: payload.exp,
+      extra: { subject: payload.sub },
+    };
+  };
+}
+
+/**
+ * Builds the token verifier for the configured mode.
+ * @param {Object} options - As returned by `authOptions()`.
+ * @returns {(token: string) => Promise<Object>} Resolves to an `AuthInfo`.
+ */
+export function createTokenVerifier(options) {
+  return options.mode === "jwt" ? jwtVerifier(options) : staticVerifier(options);
+}
+
+/**
+ * Returns the scopes that unlock a tool, or null when scopes do not
+ * restrict tools.
+ * @param {Object} options
+ * @param {string} toolName
+ * @returns {string[]|null}
+ */
+export function scopesForTool(options, toolName) {
+  if (!options?.scopes) return null;
+  return Object.entries(options.scopes)
+    .filter(([, patterns]) => matchesAny(toolName, [].concat(patterns)))
+    .map(([scope]) => scope);
+}
+
+/**
+ * Tells whether the caller may list and call a tool.
+ * @param {Object|null} options - As returned by `authOptions()`.
+ * @param {Object} [authInfo] - The caller's verified token.
+ * @param {string} toolName
+ * @returns {boolean}
+ */
+export function isToolAllowed(options, authInfo, toolName) {
+  const scopes = scopesForTool(options, toolName);
+  if (!scopes) return true;
+  return scopes.some((scope) => authInfo?.scopes.includes(scope));
+}
+
+function insufficientScope(options, toolName) {
+  return {
+    error: new InsufficientScopeError(`Token is not allowed to call ${toolName}`),
+    scope: scopesForTool(options, toolName).join(" "),
+  };
+}
+
+/**
+ * Throws unless the caller may call a tool.
+ * @param {Object|null} options - As returned by `authOptions()`.
+ * @param {Object} [authInfo] - The caller's verified token.
+ * @param {string} toolName
+ * @throws {McpError} `FORBIDDEN`, with the `insufficient_scope` error and the
+ *   scopes that unlock the tool as `data`.
+ */
+export function assertToolAllowed(options, authInfo, toolName) {
+  if (isToolAllowed(options, authInfo, toolName)) return;
+  const { error, scope } = insufficientScope(options, toolName);
+  throw new McpError(FORBIDDEN, error.message, { ...error.toResponseObject(), scope });
+}
+
+function resourceUrl(options, req) {
+  return options.resource || `${req.protocol}://${req.get("host")}${req.baseUrl}${req.path}`;
+}
+
+function challenge(error, options, req, scope) {
+  const parts = [
+    `error="${error.errorCode}"`,
+    `error_description="${error.message.replace(/"/g, "'")}"`,
+    ...(scope ? [`scope="${scope}"`] : []),
+  ];
+  const metadataUrl = getOAuthProtectedResourceMetadataUrl(new URL(resourceUrl(options, req)));
+  parts.push(`resource_metadata="${metadataUrl}"`);
+  return `Bearer ${parts.join(", ")}`;
+}
+
+/**
+ * Express middleware rejecting requests without a valid bearer token (401)
+ * and tool calls the token's scopes do not cover (403), both with a
+ * `WWW-Authenticate` challenge. Tool calls are read from the parsed JSON-RPC
+ * body, so it must run after `express.json()`.
+ * @param {Object} options - As returned by `authOptions()`.
+ * @param {Object} [hooks]
+ * @param {(req: Object, call: Object, authInfo: Object) => Promise<void>} [hooks.onForbidden] -
+ *   Awaited for each refused `tools/call` message before the response is sent.
+ * @returns {Function}
+ */
+export function requireAuth(options, hooks = {}) {
+  const verify = createTokenVerifier(options);
+
+  return async (req, res, next) => {
+    const [type, token] = (req.headers.authorization || "").split(" ");
+    let authInfo;
+    try {
+      if (type?.toLowerCase() !== "bearer" || !token) {
+        throw new InvalidTokenError("Missing bearer token");
+      }
+      authInfo = await verify(token);
+    } catch (error) {
+      if (!(error instanceof InvalidTokenError)) throw error;
+      res.set("WWW-Authenticate", challenge(error, options, req));
+      res.status(401).json(error.toResponseObject());
+      return;
+    }
+
+    const calls = [].concat(req.body || []).filter((message) => message?.method === "tools/call");
+    const denied = calls.filter((call) => !isToolAllowed(options, authInfo, call.params?.name));
+    if (denied.length > 0) {
+      for (const call of denied) await hooks.onForbidden?.(req, call, authInfo);
+      const { error, scope } = insufficientScope(options, denied[0].params.name);
+      res.set("WWW-Authenticate", challenge(error, options, req, scope));
+      res.status(403).json(error.toResponseObject());
+      return;
+    }
+
+    req.auth = authInfo;
+    next();
+  };
+}
+
+/**
+ * Express handler serving OAuth 2.0 Protected Resource Metadata (RFC 9728)
+ * for one endpoint.
+ * @param {Object} options
+ * @param {string} endpoint - Path of the protected endpoint, e.g. `/mcp`.
+ * @returns {Function}
+ */
+export function protectedResourceMetadata(options, endpoint) {
+  return (req, res) => {
+    const resource =
+      options.resource || `${req.protocol}://${req.get("host")}${endpoint}`;
+    const authorizationServers =
+      options.authorizationServers || (options.jwt?.issuer ? [options.jwt.issuer] : []);
+    res.json({
+      resource,
+      ...(authorizationServers.length > 0 && { authorization_servers: authorizationServers }),
+      ...(options.scopes && { scopes_supported: Object.keys(options.scopes) }),
+      bearer_methods_supported: ["header"],
+    });
+  };
+}
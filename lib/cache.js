@@ -0,0 +1,276 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { createLogger } from "./logger.js";
+
+/**
+ * Response cache for tool results.
+ *
+ * Entries are keyed on the tool name, the caller's credential scope (see
+ * lib/credentials.js) and the canonicalised arguments, and live in an
+ * in-memory LRU. When CACHE_DIR is set they are also written to disk, one
+ * JSON file per entry, so they survive restarts and can be inspected with
+ * `node index.js cache`.
+ *
+ * Environment:
+ *   CACHE_DISABLED=true         turn caching off entirely
+ *   CACHE_MAX_ENTRIES=500       in-memory LRU capacity
+ *   CACHE_DIR=.cache/tools      enable the on-disk store
+ *   CACHE_TTL_<TOOL_NAME>=600   override a tool's TTL in seconds (0 disables)
+ */
+
+const DEFAULT_MAX_ENTRIES = 500;
+
+const log = createLogger("cache");
+
+function canonicalize(value) {
+  if (Array.isArray(value)) return value.map(canonicalize);
+  if (value && typeof value === "object") {
+    return Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .reduce((acc, key) => {
+        acc[key] = canonicalize(value[key]);
+        return acc;
+      }, {});
+  }
+  return value;
+}
+
+/**
+ * Builds the cache key for a tool call.
+ * @param {string} toolName
+ * @param {Object} args
+ * @param {string} [scope] - Keeps entries of different callers apart (see `credentialScope`).
+ * @returns {string}
+ */
+export function cacheKey(toolName, args = {}, scope) {
+  const prefix = scope ? `${toolName}@${scope}` : toolName;
+  return `${prefix}:${JSON.stringify(canonicalize(args))}`;
+}
+
+/**
+ * Resolves the TTL in seconds for a tool, from CACHE_TTL_<TOOL_NAME> or the
+ * tool module's `cache.ttlSeconds`. Zero means the tool is not cached.
+ * @param {Object} tool
+ * @returns {number}
+ */
+export function ttlForTool(tool) {
+  const name = tool.definition?.function?.name || "";
+  const envName = `CACHE_TTL_${name.toUpperCase().replace(/[^A-Z0-9]+/g, "_")}`;
+  const fromEnv = process.env[envName];
+  if (fromEnv !== undefined && fromEnv !== "") {
+    const ttl = Number(fromEnv);
+    if (Number.isFinite(ttl) && ttl >= 0) return ttl;
+    log.warning(`Ignoring invalid ${envName}=${fromEnv}`);
+  }
+  return tool.cache?.ttlSeconds || 0;
+}
+
+/**
+ * Least-recently-used map with per-entry expiry.
+ */
+export class LruCache {
+  constructor({ maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    // Re-insert to mark as most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
+
+/**
+ * On-disk cache store, one JSON file per entry named after the key's hash.
+ */
+export class FileCacheStore {
+  constructor(directory) {
+    this.directory = path.resolve(directory);
+  }
+
+  fileFor(key) {
+    const hash = crypto.createHash("sha256").update(key).digest("hex");
+    return path.join(this.directory, `${hash}.json`);
+  }
+
+  get(key) {
+    try {
+      const entry = JSON.parse(fs.readFileSync(this.fileFor(key), "utf8"));
+      if (entry.key !== key) return undefined;
+      if (entry.expiresAt <= Date.now()) {
+        this.delete(key);
+        return undefined;
+      }
+      return entry;
+    } catch {
+      return undefined;
+    }
+  }
+
+  set(key, entry) {
+    try {
+      fs.mkdirSync(this.directory, { recursive: true });
+      const file = this.fileFor(key);
+      // Write then rename so readers never see a partial file
+      fs.writeFileSync(`${file}.tmp`, JSON.stringify({ key, ...entry }));
+      fs.renameSync(`${file}.tmp`, file);
+    } catch (error) {
+      log.warning("Failed to persist cache entry", { error: error.message });
+    }
+  }
+
+  delete(key) {
+    fs.rmSync(this.fileFor(key), { force: true });
+  }
+
+  /**
+   * Lists all stored entries, including expired ones.
+   * @returns {Array<Object>}
+   */
+  list() {
+    if (!fs.existsSync(this.directory)) return [];
+    return fs
+      .readdirSync(this.directory)
+      .filter((file) => file.endsWith(".json"))
+      .map((file) => {
+        const fullPath = path.join(this.directory, file);
+        try {
+          const entry = JSON.parse(fs.readFileSync(fullPath, "utf8"));
+          return { ...entry, file: fullPath, size: fs.statSync(fullPath).size };
+        } catch {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Removes entries matching the predicate, or all entries.
+   * @param {Function} [predicate] - Receives each listed entry.
+   * @returns {number} Number of entries removed.
+   */
+  clear(predicate = () => true) {
+    let removed = 0;
+    for (const entry of this.list()) {
+      if (!predicate(entry)) continue;
+      fs.rmSync(entry.file, { force: true });
+      removed++;
+    }
+    return removed;
+  }
+}
+
+/**
+ * Two-level tool result cache: in-memory LRU backed by an optional disk store.
+ */
+export class ToolCache {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxEntries] - In-memory LRU capacity.
+   * @param {string} [options.directory] - Directory of the on-disk store.
+   */
+  constructor({ maxEntries, directory } = {}) {
+    this.memory = new LruCache({ maxEntries });
+    this.disk = directory ? new FileCacheStore(directory) : null;
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  /**
+   * Returns the cached value for a key, or undefined on a miss.
+   * @param {string} key
+   * @returns {*}
+   */
+  get(key) {
+    let entry = this.memory.get(key);
+    if (!entry && this.disk) {
+      entry = this.disk.get(key);
+      if (entry) this.memory.set(key, entry);
+    }
+    if (entry) {
+      this.hits++;
+      return entry.value;
+    }
+    this.misses++;
+    return undefined;
+  }
+
+  /**
+   * Stores a value for `ttlSeconds`.
+   * @param {string} key
+   * @param {*} value
+   * @param {number} ttlSeconds
+   * @param {Object} [meta] - Extra fields kept with the entry (e.g. tool name).
+   */
+  set(key, value, ttlSeconds, meta = {}) {
+    const now = Date.now();
+    const entry = { ...meta, value, createdAt: now, expiresAt: now + ttlSeconds * 1000 };
+    this.memory.set(key, entry);
+    this.disk?.set(key, entry);
+  }
+
+  clear() {
+    this.memory.clear();
+    this.disk?.clear();
+  }
+
+  stats() {
+    const lookups = this.hits + this.misses;
+    return {
+      entries: this.memory.size,
+      hits: this.hits,
+      misses: this.misses,
+      hitRatio: lookups ? this.hits / lookups : 0,
+    };
+  }
+}
+
+let toolCache;
+
+/**
+ * Returns the process-wide tool cache configured from the environment, or
+ * null when caching is disabled.
+ * @returns {ToolCache|null}
+ */
+export function getToolCache() {
+  if (toolCache === undefined) {
+    const disabled = /^(1|true|yes)$/i.test(process.env.CACHE_DISABLED || "");
+    toolCache = disabled
+      ? null
+      : new ToolCache({
+          maxEntries: Number(process.env.CACHE_MAX_ENTRIES) || DEFAULT_MAX_ENTRIES,
+          directory: process.env.CACHE_DIR || undefined,
+        });
+  }
+  return toolCache;
+}
@@ -0,0 +1,173 @@
+/**
+ * Helpers shared by the commands that run tools from the terminal: turning
+ * `--flag value` tokens into tool arguments and printing tool results.
+ */
+
+const normalize = (name) => name.replace(/[-_]/g, "").toLowerCase();
+
+function typesOf(schema) {
+  return [].concat(schema?.type || []);
+}
+
+function resolveProperty(properties, flag) {
+  if (Object.hasOwn(properties, flag)) return flag;
+  return Object.keys(properties).find((name) => normalize(name) === normalize(flag));
+}
+
+function parseValue(schema, raw) {
+  const types = typesOf(schema);
+  if ((types.includes("object") || types.includes("array")) && /^\s*[[{]/.test(raw)) {
+    try {
+      return JSON.parse(raw);
+    } catch {
+      // Left as a string; validation reports the type mismatch
+    }
+  }
+  return raw;
+}
+
+/**
+ * Parses `--name value`, `--name=value`, `--flag` and `--no-flag` tokens
+ * into arguments for a tool, using its parameter schema to resolve names
+ * (`--place-id` matches `place_id`), detect booleans and collect repeated
+ * array flags. Values stay strings; `validateArguments` coerces them.
+ *
+ * @param {Object} schema - The tool's `parameters` schema.
+ * @param {string[]} tokens
+ * @returns {{ args: Object, errors: string[] }}
+ */
+export function parseToolFlags(schema, tokens) {
+  const properties = schema?.properties || {};
+  const args = {};
+  const errors = [];
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const match = /^--([^=]+)(?:=(.*))?$/s.exec(token);
+    if (!match) {
+      errors.push(`Unexpected argument "${token}"; pass parameters as --name value`);
+      continue;
+    }
+
+    const [, flag, inline] = match;
+    let name = resolveProperty(properties, flag);
+    let negated = false;
+    if (!name && flag.startsWith("no-")) {
+      name = resolveProperty(properties, flag.slice(3));
+      negated = Boolean(name);
+    }
+    if (!name) {
+      errors.push(`Unknown parameter --${flag}`);
+      // Skip its value too, so it is not reported a second time
+      if (inline === undefined && tokens[i + 1] && !tokens[i + 1].startsWith("--")) i++;
+      continue;
+    }
+
+    const propertySchema = properties[name];
+    let raw = inline;
+    if (negated) {
+      raw = "false";
+    } else if (raw === undefined) {
+      const next = tokens[i + 1];
+      const isBoolean = typesOf(propertySchema).includes("boolean");
+      if (isBoolean && (next === undefined || !/^(true|false)$/.test(next))) {
+        raw = "true";
+      } else if (next === undefined || next.startsWith("--")) {
+        errors.push(`Missing value for --${flag}`);
+        continue;
+      } else {
+        raw = next;
+        i++;
+      }
+    }
+
+    const value = parseValue(propertySchema, raw);
+    if (typesOf(propertySchema).includes("array") && !Array.isArray(value)) {
+      args[name] = [...(args[name] || []), value];
+    } else {
+      args[name] = value;
+    }
+  }
+
+  return { args, errors };
+}
+
+/**
+ * Extracts the data of a `CallToolResult`: the structured content when
+ * present, otherwise the parsed JSON text (or the text itself).
+ * @param {Object} result
+ * @returns {*}
+ */
+export function resultData(result) {
+  if (result.structuredContent !== undefined) return result.structuredContent;
+  const text = (result.content || [])
+    .filter((item) => item.type === "text")
+    .map((item) => item.text)
+    .join("\n");
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+function cell(value) {
+  if (value === undefined || value === null) return "";
+  const text = typeof value === "object" ? JSON.stringify(value) : String(value);
+  return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+}
+
+function renderTable(headers, rows) {
+  const widths = headers.map((header, column) =>
+    Math.max(header.length, ...rows.map((row) => row[column].length))
+  );
+  const line = (values) =>
+    values.map((value, column) => value.padEnd(widths[column])).join("  ").trimEnd();
+  return [line(headers), line(widths.map((width) => "-".repeat(width))), ...rows.map(line)].join(
+    "\n"
+  );
+}
+
+/**
+ * Renders result data as a table. The first array of objects found at the
+ * top level becomes one row per item; anything else is shown as key/value
+ * pairs.
+ * @param {*} data
+ * @returns {string}
+ */
+export function formatTable(data) {
+  const items = Array.isArray(data)
+    ? data
+    : Object.values(data || {}).find(
+        (value) => Array.isArray(value) && value.some((item) => item && typeof item === "object")
+      );
+
+  if (items) {
+    const headers = [...new Set(items.flatMap((item) => Object.keys(item || {})))];
+    return renderTable(
+      headers,
+      items.map((item) => headers.map((header) => cell(item?.[header])))
+    );
+  }
+  if (data && typeof data === "object") {
+    return renderTable(
+      ["field", "value"],
+      Object.entries(data).map(([key, value]) => [key, cell(value)])
+    );
+  }
+  return String(data);
+}
+
+export const OUTPUT_FORMATS = ["pretty", "raw", "table"];
+
+/**
+ * Formats result data for the terminal.
+ * @param {*} data
+ * @param {'pretty'|'raw'|'table'} format
+ * @returns {string}
+ */
+export function formatOutput(data, format = "pretty") {
+  if (format === "table") return formatTable(data);
+  if (typeof data === "string") return data;
+  return format === "raw" ? JSON.stringify(data) : JSON.stringify(data, null, 2);
+}
@@ -0,0 +1,464 @@
+import fs from "fs";
+import path from "path";
+import { PROJECT_ROOT } from "./config.js";
+
+/**
+ * Code generator for tool modules in the `apiTool` shape used under tools/.
+ *
+ * Importers (Postman collections, OpenAPI specs) normalise each request into
+ * an operation description and hand it to `renderToolModule`:
+ *
+ *   {
+ *     name: 'get_place_details',       // tool name, snake_case
+ *     description: 'Fetch details about a place.',
+ *     method: 'GET',
+ *     baseUrl: 'https://maps.googleapis.com',
+ *     path: '/maps/api/place/details/json',  // `{param}` marks path parameters
+ *     params: [{ name, apiName, in: 'query'|'path'|'header'|'body', schema, description, required }],
+ *     bodyMode: 'json'|'urlencoded',    // how `in: 'body'` params are sent
+ *     headers: { 'X-Static': 'value' },  // constant request headers
+ *     auth: { type: 'apiKey', in: 'query'|'header', name, env }
+ *         | { type: 'bearer', env }
+ *         | { type: 'basic', usernameEnv, passwordEnv },
+ *     outputSchema: { ... },             // optional
+ *     googleStatus: true                 // check the body's Google `status`
+ *   }
+ */
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+const RESERVED_WORDS = new Set(
+  (
+    "break case catch class const continue debugger default delete do else " +
+    "enum export extends false finally for function if import in instanceof " +
+    "new null return super switch this throw true try typeof var void while " +
+    "with yield let static implements interface package private protected " +
+    "public await arguments eval url apiKey baseUrl headers body error " +
+    "username password"
+  ).split(" ")
+);
+
+/**
+ * Converts free text to snake_case, e.g. "Place Details" -> "place_details".
+ * @param {string} text
+ * @returns {string}
+ */
+export function toSnakeCase(text) {
+  return String(text)
+    .replace(/([a-z0-9])([A-Z])/g, "$1_$2")
+    .replace(/[^A-Za-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "")
+    .toLowerCase();
+}
+
+/**
+ * Converts free text to kebab-case, e.g. "Place Details" -> "place-details".
+ * @param {string} text
+ * @returns {string}
+ */
+export function toKebabCase(text) {
+  return toSnakeCase(text).replace(/_/g, "-");
+}
+
+/**
+ * Converts free text to an environment variable name, e.g. "Maps API" -> "MAPS_API".
+ * @param {string} text
+ * @returns {string}
+ */
+export function toEnvName(text) {
+  return toSnakeCase(text).toUpperCase();
+}
+
+/**
+ * Returns a valid, non-reserved JavaScript identifier for a parameter name.
+ * @param {string} name
+ * @returns {string}
+ */
+export function toIdentifier(name) {
+  let identifier = IDENTIFIER.test(name) ? name : toSnakeCase(name) || "param";
+  if (/^\d/.test(identifier)) identifier = `_${identifier}`;
+  if (RESERVED_WORDS.has(identifier)) identifier = `${identifier}Param`;
+  return identifier;
+}
+
+/**
+ * Infers a JSON Schema from an example value.
+ * @param {*} value
+ * @param {number} [depth] - Nesting limit; deeper values are left untyped.
+ * @returns {Object}
+ */
+export function inferSchema(value, depth = 4) {
+  if (depth < 0) return {};
+  if (value === null) return {};
+  if (Array.isArray(value)) {
+    return value.length
+      ? { type: "array", items: inferSchema(value[0], depth - 1) }
+      : { type: "array" };
+  }
+  if (typeof value === "object") {
+    const properties = {};
+    for (const [key, child] of Object.entries(value)) {
+      properties[key] = inferSchema(child, depth - 1);
+    }
+    return { type: "object", properties };
+  }
+  if (typeof value === "number") {
+    return { type: Number.isInteger(value) ? "integer" : "number" };
+  }
+  return { type: typeof value };
+}
+
+function quote(value) {
+  return `'${String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/'/g, "\\'")
+    .replace(/\r?\n/g, "\\n")}'`;
+}
+
+/**
+ * Renders a JSON-compatible value as a JavaScript literal in the style of the
+ * tool modules (single quotes, unquoted keys, two-space indentation).
+ * @param {*} value
+ * @param {number} [indent] - Current indentation level.
+ * @returns {string}
+ */
+export function toJsLiteral(value, indent = 0) {
+  const pad = "  ".repeat(indent);
+  if (Array.isArray(value)) {
+    if (value.length === 0) return "[]";
+    if (value.every((item) => item === null || typeof item !== "object")) {
+      return `[${value.map((item) => toJsLiteral(item)).join(", ")}]`;
+    }
+    return `[\n${value
+      .map((item) => `${pad}  ${toJsLiteral(item, indent + 1)}`)
+      .join(",\n")}\n${pad}]`;
+  }
+  if (value && typeof value === "object") {
+    const entries = Object.entries(value).filter(([, v]) => v !== undefined);
+    if (entries.length === 0) return "{}";
+    return `{\n${entries
+      .map(
+        ([key, v]) =>
+          `${pad}  ${IDENTIFIER.test(key) ? key : quote(key)}: ${toJsLiteral(v, indent + 1)}`
+      )
+      .join(",\n")}\n${pad}}`;
+  }
+  if (typeof value === "string") return quote(value);
+  return JSON.stringify(value ?? null);
+}
+
+function jsDocType(schema = {}) {
+  const type = Array.isArray(schema.type) ? schema.type[0] : schema.type;
+  if (type === "integer") return "number";
+  if (type === "array") return "Array";
+  if (type === "object") return "Object";
+  return type || "*";
+}
+
+function oneLine(text) {
+  return String(text || "").replace(/\s+/g, " ").trim();
+}
+
+function firstSentence(text) {
+  const line = oneLine(text);
+  const match = line.match(/^(.+?[.!?])(\s|$)/);
+  return (match ? match[1] : line).replace(/[.!?]$/, "");
+}
+
+function lowerFirst(text) {
+  return text ? text[0].toLowerCase() + text.slice(1) : text;
+}
+
+function credentialLines(auth) {
+  if (!auth) return [];
+  if (auth.type === "basic") {
+    return [
+      `  const username = requireCredential(context, '${auth.usernameEnv}');`,
+      `  const password = requireCredential(context, '${auth.passwordEnv}');`,
+    ];
+  }
+  return [`  const apiKey = requireCredential(context, '${auth.env}');`];
+}
+
+function urlExpression(operation) {
+  const pathParams = new Map(
+    operation.params
+      .filter((param) => param.in === "path")
+      .map((param) => [param.apiName, param.name])
+  );
+  const renderedPath = operation.path
+    .replace(/`/g, "\\`")
+    .replace(/\$\{/g, "\\${")
+    .replace(/\{([^}]+)\}/g, (match, apiName) =>
+      pathParams.has(apiName)
+        ? `\${encodeURIComponent(${pathParams.get(apiName)})}`
+        : match
+    );
+  return `\`\${baseUrl}${renderedPath}\``;
+}
+
+function needsHeaders(operation) {
+  const { auth } = operation;
+  return (
+    Object.keys(operation.headers || {}).length > 0 ||
+    operation.params.some((param) => param.in === "header") ||
+    (auth && (auth.type !== "apiKey" || auth.in === "header"))
+  );
+}
+
+function requestOptions(operation) {
+  const lines = [`tool: ${quote(operation.name)}`];
+
+  if (operation.method !== "GET") lines.push(`method: ${quote(operation.method)}`);
+  if (operation.googleStatus) lines.push("googleStatus: true");
+  if (needsHeaders(operation)) lines.push("headers");
+  if (operation.params.some((param) => param.in === "body")) lines.push("body");
+
+  return `{ ${lines.join(", ")} }`;
+}
+
+function bodyLines(operation) {
+  const bodyParams = operation.params.filter((param) => param.in === "body");
+  if (bodyParams.length === 0) return [];
+
+  if (operation.bodyMode === "urlencoded") {
+    return [
+      "",
+      "    // Build the form-encoded request body",
+      "    const body = new URLSearchParams();",
+      ...bodyParams.map(
+        (param) =>
+          `    if (${param.name} !== undefined) body.append(${quote(param.apiName)}, ${param.name});`
+      ),
+    ];
+  }
+  return [
+    "",
+    "    // Build the JSON request body",
+    "    const body = {};",
+    ...bodyParams.map(
+      (param) =>
+        `    if (${param.name} !== undefined) body[${quote(param.apiName)}] = ${param.name};`
+    ),
+  ];
+}
+
+function headerLines(operation) {
+  const { auth } = operation;
+  const headerParams = operation.params.filter((param) => param.in === "header");
+  const staticHeaders = Object.entries(operation.headers || {});
+  if (!needsHeaders(operation)) return [];
+
+  const lines = ["", "    // Set up headers for the request"];
+  lines.push(
+    staticHeaders.length
+      ? `    const headers = ${toJsLiteral(Object.fromEntries(staticHeaders), 2)};`
+      : "    const headers = {};"
+  );
+  for (const param of headerParams) {
+    lines.push(
+      `    if (${param.name} !== undefined) headers[${quote(param.apiName)}] = String(${param.name});`
+    );
+  }
+  if (auth?.type === "apiKey" && auth.in === "header") {
+    lines.push(`    headers[${quote(auth.name)}] = apiKey;`);
+  } else if (auth?.type === "bearer") {
+    lines.push("    headers['Authorization'] = `Bearer ${apiKey}`;");
+  } else if (auth?.type === "basic") {
+    lines.push(
+      "    headers['Authorization'] = `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`;"
+    );
+  }
+  return lines;
+}
+
+/**
+ * Renders the source of a tool module for an operation.
+ *
+ * @param {Object} operation - Normalised operation, see the module comment.
+ * @param {Object} options
+ * @param {string} options.libPath - Import path of the lib/ directory as seen
+ *   from the generated file, e.g. '../../../lib'.
+ * @returns {string} The module source.
+ */
+export function renderToolModule(operation, { libPath }) {
+  const { name, auth } = operation;
+  const summary = firstSentence(operation.description) || `Call ${name}`;
+  const params = [...operation.params].sort(
+    (a, b) => Number(Boolean(b.required)) - Number(Boolean(a.required))
+  );
+
+  const docLines = params.map((param) => {
+    const defaultValue = param.schema?.default;
+    const label =
+      param.required
+        ? `args.${param.name}`
+        : defaultValue !== undefined
+          ? `[args.${param.name}=${typeof defaultValue === "string" ? quote(defaultValue) : JSON.stringify(defaultValue)}]`
+          : `[args.${param.name}]`;
+    return ` * @param {${jsDocType(param.schema)}} ${label} - ${oneLine(param.description) || `The ${param.apiName} parameter.`}`;
+  });
+
+  const destructured = params.map((param) =>
+    param.schema?.default !== undefined
+      ? `${param.name} = ${toJsLiteral(param.schema.default)}`
+      : param.name
+  );
+
+  const queryLines = [];
+  for (const param of params.filter((p) => p.in === "query")) {
+    const append = `url.searchParams.append(${quote(param.apiName)}, ${param.name});`;
+    queryLines.push(
+      param.required || param.schema?.default !== undefined
+        ? `    ${append}`
+        : `    if (${param.name} !== undefined) ${append}`
+    );
+  }
+  if (auth?.type === "apiKey" && auth.in === "query") {
+    queryLines.push(`    url.searchParams.append(${quote(auth.name)}, apiKey);`);
+  }
+
+  const properties = {};
+  for (const param of params) {
+    properties[param.name] = {
+      ...param.schema,
+      description: oneLine(param.description) || `The ${param.apiName} parameter.`,
+    };
+  }
+  const parameters = {
+    type: "object",
+    properties,
+    required: params.filter((param) => param.required).map((param) => param.name),
+    additionalProperties: false,
+  };
+
+  const apiTool = {
+    definition: {
+      type: "function",
+      function: {
+        name,
+        description: oneLine(operation.description) || `${summary}.`,
+        parameters,
+      },
+    },
+    ...(operation.outputSchema && { outputSchema: operation.outputSchema }),
+    // Static endpoint description, for exporters that cannot run the function
+    request: {
+      method: operation.method,
+      url: `${operation.baseUrl}${operation.path}`,
+      ...(Object.keys(operation.headers || {}).length > 0 && { headers: operation.headers }),
+      ...(operation.bodyMode && { bodyMode: operation.bodyMode }),
+      ...(operation.googleStatus && { googleStatus: true }),
+      ...(auth && { auth }),
+      params: params.map((param) => ({
+        name: param.name,
+        apiName: param.apiName,
+        in: param.in,
+        required: Boolean(param.required),
+      })),
+    },
+  };
+  const apiToolLiteral = toJsLiteral(apiTool).replace(
+    /^\{\n/,
+    "{\n  function: executeFunction,\n"
+  );
+
+  const signature = destructured.length
+    ? destructured.join(", ").length > 80
+      ? `{\n  ${destructured.join(",\n  ")}\n}`
+      : `{ ${destructured.join(", ")} }`
+    : "";
+
+  return [
+    ...(auth ? [`import { requireCredential } from '${libPath}/credentials.js';`] : []),
+    `import { toToolError } from '${libPath}/errors.js';`,
+    `import { requestJson } from '${libPath}/http.js';`,
+    "",
+    "/**",
+    ` * Function to ${lowerFirst(summary)}.`,
+    " *",
+    ` * @param {Object} args - Arguments for the ${name} request.`,
+    ...docLines,
+    ...(auth ? [" * @param {Object} [context] - Call context carrying per-call credentials."] : []),
+    ` * @returns {Promise<Object>} - The result of the ${name} request.`,
+    " */",
+    `const executeFunction = async (${signature || "{}"}${auth ? ", context" : ""}) => {`,
+    `  const baseUrl = ${quote(operation.baseUrl)};`,
+    ...credentialLines(auth),
+    "  try {",
+    "    // Construct the URL with query parameters",
+    `    const url = new URL(${urlExpression(operation)});`,
+    ...queryLines,
+    ...headerLines(operation),
+    ...bodyLines(operation),
+    "",
+    "    // Perform the request",
+    `    return await requestJson(url, ${requestOptions(operation)});`,
+    "  } catch (error) {",
+    "    // Failures are logged by the pipeline, with the call's correlation ID",
+    "    throw toToolError(error);",
+    "  }",
+    "};",
+    "",
+    "/**",
+    ` * Tool configuration for the ${name} request.`,
+    " * @type {Object}",
+    " */",
+    `const apiTool = ${apiToolLiteral};`,
+    "",
+    "export { apiTool };",
+    "",
+  ].join("\n");
+}
+
+/**
+ * Assigns unique tool and file names to operations within one collection.
+ * A `fileName` an operation already has is kept unless the name changes.
+ * @param {Array<Object>} operations - Operations with a `name` each.
+ * @returns {Array<Object>} The same operations with `name` and `fileName` set.
+ */
+export function assignUniqueNames(operations) {
+  const seen = {};
+  return operations.map((operation) => {
+    const base = operation.name || "request";
+    seen[base] = (seen[base] || 0) + 1;
+    const name = seen[base] > 1 ? `${base}_${seen[base]}` : base;
+    const fileName =
+      name === operation.name && operation.fileName
+        ? operation.fileName
+        : `${toKebabCase(name)}.js`;
+    return { ...operation, name, fileName };
+  });
+}
+
+/**
+ * Writes generated tool modules to `<toolsDir>/<workspace>/<collection>/`,
+ * in the subdirectories named by an operation's `folder`, if any.
+ *
+ * @param {Array<Object>} operations - Operations with unique names (see `assignUniqueNames`).
+ * @param {Object} options
+ * @param {string} options.toolsDir - Root tools directory.
+ * @param {string} options.workspace - Workspace directory name.
+ * @param {string} options.collection - Collection directory name.
+ * @param {boolean} [options.force] - Overwrite existing files.
+ * @param {boolean} [options.dryRun] - Only report what would be written.
+ * @returns {Array<{ file: string, status: 'written'|'skipped'|'planned' }>}
+ */
+export function writeToolModules(operations, options) {
+  const { toolsDir, workspace, collection, force = false, dryRun = false } = options;
+  const collectionDir = path.join(toolsDir, workspace, collection);
+
+  return operations.map((operation) => {
+    const targetDir = path.join(collectionDir, ...(operation.folder || []));
+    const file = path.join(targetDir, operation.fileName);
+    if (dryRun) return { file, status: "planned" };
+    if (fs.existsSync(file) && !force) return { file, status: "skipped" };
+    const libPath = path
+      .relative(targetDir, path.join(PROJECT_ROOT, "lib"))
+      .split(path.sep)
+      .join("/");
+    fs.mkdirSync(targetDir, { recursive: true });
+    fs.writeFileSync(file, renderToolModule(operation, { libPath }));
+    return { file, status: "written" };
+  });
+}
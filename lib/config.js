@@ -0,0 +1,64 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+/**
+ * Optional project configuration file.
+ *
+ * Read from `mcp.config.json` in the project root, or from the path in the
+ * MCP_CONFIG environment variable. A missing file yields an empty config.
+ */
+
+export const PROJECT_ROOT = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  ".."
+);
+
+let cachedConfig;
+
+/**
+ * Returns the path of the configuration file in effect.
+ * @returns {string}
+ */
+export function configPath() {
+  return path.resolve(
+    PROJECT_ROOT,
+    process.env.MCP_CONFIG || "mcp.config.json"
+  );
+}
+
+/**
+ * Loads and caches the configuration file.
+ * @returns {Object} The parsed configuration, or `{}` when there is none.
+ * @throws {Error} If the file exists but is not valid JSON.
+ */
+export function loadConfig() {
+  if (cachedConfig) return cachedConfig;
+
+  const file = configPath();
+  if (!fs.existsSync(file)) {
+    cachedConfig = {};
+    return cachedConfig;
+  }
+  try {
+    cachedConfig = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new Error(`Invalid configuration file ${file}: ${error.message}`);
+  }
+  return cachedConfig;
+}
+
+/**
+ * Splits a comma-separated environment variable into a list. Commas inside
+ * `{...}` are kept so glob alternatives survive.
+ * @param {string} name
+ * @returns {string[]|undefined} The list, or undefined when the variable is unset.
+ */
+export function envList(name) {
+  const raw = process.env[name];
+  if (raw === undefined || raw.trim() === "") return undefined;
+  return raw
+    .split(/,(?![^{]*})/)
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
@@ -0,0 +1,181 @@
+import crypto from "crypto";
+import { loadConfig } from "./config.js";
+import { missingApiKeyError, missingCredentialError } from "./errors.js";
+
+/**
+ * Per-call credentials.
+ *
+ * Tools are called as `tool.function(args, context)`. `context.credentials`
+ * maps credential names, which are the environment variable names tools
+ * declare in `auth` (e.g. GOOGLE_MAPS_PLATFORM_API_KEY), to values supplied
+ * by the client. Over HTTP a client can supply them:
+ *
+ *   - with `Authorization: Bearer <key>` (unless the server's own auth uses
+ *     that header, see lib/auth.js) or the configured API key header
+ *     (`X-Api-Key` by default), for the default credential;
+ *   - with `X-Credential-<name>` headers, e.g.
+ *     `X-Credential-Google-Maps-Platform-Api-Key`, for any credential;
+ *   - in the `initialize` request, as an object keyed by credential name in
+ *     `capabilities.experimental.credentials`.
+ *
+ * Headers sent when a session is opened apply to the whole session; headers
+ * on an individual request override them for that request.
+ *
+ * Calls from remote clients (`context.remote`) only fall back to the
+ * server's own environment when configured to; local calls (stdio, CLI)
+ * always use it. Configured by `credentials` in mcp.config.json:
+ *
+ *   {
+ *     "credentials": {
+ *       "envFallback": false,     // CREDENTIALS_ENV_FALLBACK
+ *       "header": "X-Api-Key",    // CREDENTIALS_HEADER
+ *       "default": "GOOGLE_MAPS_PLATFORM_API_KEY"  // CREDENTIALS_DEFAULT
+ *     }
+ *   }
+ *
+ * The default credential is the one bare keys are assigned to. When it is
+ * not configured it is the single credential the loaded tools use.
+ */
+
+const CREDENTIAL_HEADER_PREFIX = "x-credential-";
+
+/**
+ * Returns the credential settings, with environment variables taking
+ * precedence over mcp.config.json.
+ * @returns {{ envFallback: boolean, header: string, default: string|undefined }}
+ */
+export function credentialOptions() {
+  const { credentials = {} } = loadConfig();
+  const fallback = process.env.CREDENTIALS_ENV_FALLBACK;
+  return {
+    envFallback:
+      fallback !== undefined && fallback !== ""
+        ? fallback === "true"
+        : Boolean(credentials.envFallback),
+    header: process.env.CREDENTIALS_HEADER || credentials.header || "X-Api-Key",
+    default: process.env.CREDENTIALS_DEFAULT || credentials.default,
+  };
+}
+
+/**
+ * Lists the credential names the tools declare in their request descriptors.
+ * @param {Array} tools
+ * @returns {string[]}
+ */
+export function credentialNames(tools) {
+  const names = new Set();
+  for (const tool of tools) {
+    const auth = tool.request?.auth;
+    if (!auth) continue;
+    if (auth.type === "basic") {
+      names.add(auth.usernameEnv);
+      names.add(auth.passwordEnv);
+    } else {
+      names.add(auth.env);
+    }
+  }
+  return [...names];
+}
+
+/**
+ * Picks the credential a bare key (bearer token, API key header) stands for.
+ * @param {Array} tools
+ * @returns {string|undefined}
+ */
+export function defaultCredentialName(tools) {
+  const configured = credentialOptions().default;
+  if (configured) return configured;
+  const names = credentialNames(tools);
+  return names.length === 1 ? names[0] : undefined;
+}
+
+function headerValue(headers, name) {
+  const value = headers?.[name.toLowerCase()];
+  return Array.isArray(value) ? value[0] : value;
+}
+
+/**
+ * Reads credentials from HTTP request headers (as lower-cased by Node).
+ * @param {Object} headers
+ * @param {string} [defaultName] - Credential that bare keys are assigned to.
+ * @param {Object} [options]
+ * @param {boolean} [options.useAuthorization=true] - Whether a bearer token is
+ *   an API key; not when it authenticates the client to the server itself.
+ * @returns {Object} Credential values by name.
+ */
+export function credentialsFromHeaders(headers, defaultName, options = {}) {
+  const { useAuthorization = true } = options;
+  const credentials = {};
+
+  if (defaultName) {
+    const authorization = useAuthorization ? headerValue(headers, "authorization") : undefined;
+    const bearer = authorization?.match(/^Bearer\s+(.+)$/i)?.[1];
+    const apiKey = headerValue(headers, credentialOptions().header) || bearer;
+    if (apiKey) credentials[defaultName] = apiKey.trim();
+  }
+
+  for (const [header, value] of Object.entries(headers || {})) {
+    if (!header.startsWith(CREDENTIAL_HEADER_PREFIX) || !value) continue;
+    const name = header.slice(CREDENTIAL_HEADER_PREFIX.length).toUpperCase().replace(/-/g, "_");
+    credentials[name] = String(Array.isArray(value) ? value[0] : value).trim();
+  }
+  return credentials;
+}
+
+/**
+ * Reads credentials from the client capabilities sent in `initialize`.
+ * @param {Object} [capabilities]
+ * @returns {Object} Credential values by name.
+ */
+export function credentialsFromClient(capabilities) {
+  const supplied = capabilities?.experimental?.credentials;
+  if (!supplied || typeof supplied !== "object") return {};
+  return Object.fromEntries(
+    Object.entries(supplied).filter(([, value]) => typeof value === "string" && value)
+  );
+}
+
+/**
+ * Returns a credential for a call, or undefined when there is none.
+ * @param {Object} [context] - The call context passed to the tool.
+ * @param {string} name - Credential (environment variable) name.
+ * @returns {string|undefined}
+ */
+export function resolveCredential(context, name) {
+  const supplied = context?.credentials?.[name];
+  if (supplied) return supplied;
+  if (!context?.remote || credentialOptions().envFallback) return process.env[name];
+  return undefined;
+}
+
+/**
+ * Returns a credential for a call.
+ * @param {Object} [context]
+ * @param {string} name
+ * @returns {string}
+ * @throws {ToolError} `API_KEY_MISSING` when it is not available.
+ */
+export function requireCredential(context, name) {
+  const value = resolveCredential(context, name);
+  if (value) return value;
+  throw context?.remote && !credentialOptions().envFallback
+    ? missingCredentialError(name, credentialOptions().header)
+    : missingApiKeyError(name);
+}
+
+/**
+ * Fingerprints the credentials of a call, so cached results fetched with
+ * one client's key are not served to another.
+ * @param {Object} [context]
+ * @returns {string|undefined} Undefined for calls using the server's own environment.
+ */
+export function credentialScope(context) {
+  const entries = Object.entries(context?.credentials || {}).sort(([a], [b]) =>
+    a.localeCompare(b)
+  );
+  if (entries.length === 0) {
+    // Without a key of its own a remote client must not see results fetched with the server's
+    return context?.remote && !credentialOptions().envFallback ? "none" : undefined;
+  }
+  return crypto.createHash("sha256").update(JSON.stringify(entries)).digest("hex").slice(0, 16);
+}
@@ -0,0 +1,287 @@
+import fs from "fs";
+import YAML from "yaml";
+import { requireCredential } from "./credentials.js";
+import { toToolError } from "./errors.js";
+import { requestJson } from "./http.js";
+import { pageLimits } from "./pagination.js";
+
+/**
+ * Declarative tool definitions: tools described as data (JSON or YAML) and
+ * executed by one generic runtime instead of a hand-written module.
+ *
+ *   name: get_time_zone
+ *   description: Get the time zone for a location.
+ *   request:
+ *     method: GET                      # defaults to GET
+ *     url: https://maps.googleapis.com/maps/api/timezone/json
+ *     headers: { X-Static: value }     # constant request headers
+ *     bodyMode: json                   # json | urlencoded, for `in: body` params
+ *     googleStatus: true               # check the body's Google `status`
+ *   auth:
+ *     type: apiKey                     # apiKey | bearer | basic (same as lib/codegen.js)
+ *     in: query
+ *     name: key
+ *     env: GOOGLE_MAPS_PLATFORM_API_KEY
+ *   parameters:
+ *     location:                        # a JSON Schema property plus:
+ *       type: string
+ *       required: true                 #   listed in the schema's `required`
+ *       in: query                      #   query | path | header | body
+ *       as: location                   #   upstream name, defaults to the key
+ *       separator: "|"                 #   join arrays instead of repeating them
+ *       flag: true                     #   boolean sent only when true
+ *   response:
+ *     select: result                   # dotted path to return instead of the body
+ *     pick: [a, b]                     # keep only these fields
+ *     omit: [html_attributions]        # drop these fields
+ *   cache: { ttlSeconds: 86400 }
+ *   pagination: { ... }                # see lib/pagination.js
+ *   outputSchema: { ... }
+ *
+ * `{name}` placeholders in the URL are path parameters. Other parameters go
+ * to the query string for GET, HEAD and DELETE requests and to the body
+ * otherwise, unless `in` says so. Schema defaults are sent when an argument
+ * is omitted. Credentials are resolved per call by name (`env`), see
+ * lib/credentials.js.
+ */
+
+export const DECLARATIVE_EXTENSIONS = [".json", ".yaml", ".yml"];
+
+const LOCATIONS = ["query", "path", "header", "body"];
+const AUTH_TYPES = ["apiKey", "bearer", "basic"];
+const PARAMETER_KEYWORDS = ["in", "as", "required", "separator", "flag"];
+
+function fail(message) {
+  throw new Error(`invalid tool definition: ${message}`);
+}
+
+/**
+ * Checks a parsed definition and fills in defaults, so the runtime and the
+ * request descriptor can rely on every field being present.
+ * @param {Object} spec
+ * @returns {Object} The normalised definition.
+ */
+export function normalizeDefinition(spec) {
+  if (!spec || typeof spec !== "object") fail("expected an object");
+  if (!spec.name || typeof spec.name !== "string") fail("`name` is required");
+  if (!spec.request?.url) fail("`request.url` is required");
+
+  const method = (spec.request.method || "GET").toUpperCase();
+  const pathNames = [...spec.request.url.matchAll(/\{([^}]+)\}/g)].map((match) => match[1]);
+  const defaultLocation = ["GET", "HEAD", "DELETE"].includes(method) ? "query" : "body";
+
+  const params = Object.entries(spec.parameters || {}).map(([name, property]) => {
+    const location =
+      property.in || (pathNames.includes(property.as || name) ? "path" : defaultLocation);
+    if (!LOCATIONS.includes(location)) {
+      fail(`parameter "${name}" has unknown location "${location}"`);
+    }
+    const schema = Object.fromEntries(
+      Object.entries(property).filter(([key]) => !PARAMETER_KEYWORDS.includes(key))
+    );
+    return {
+      name,
+      apiName: property.as || name,
+      in: location,
+      required: location === "path" || Boolean(property.required),
+      separator: property.separator,
+      flag: Boolean(property.flag),
+      schema,
+    };
+  });
+
+  for (const pathName of pathNames) {
+    if (!params.some((param) => param.in === "path" && param.apiName === pathName)) {
+      fail(`URL placeholder {${pathName}} has no matching parameter`);
+    }
+  }
+  if (spec.auth && !AUTH_TYPES.includes(spec.auth.type)) {
+    fail(`unknown auth type "${spec.auth.type}"`);
+  }
+
+  return {
+    ...spec,
+    request: {
+      headers: {},
+      bodyMode: "json",
+      googleStatus: false,
+      ...spec.request,
+      method,
+    },
+    params,
+  };
+}
+
+function toParameterSchema(definition) {
+  const properties = Object.fromEntries(
+    definition.params.map(({ name, schema }) => [name, schema])
+  );
+  // Pagination controls are consumed by the pipeline, but callers still pass them
+  if (definition.pagination) {
+    const { defaultMaxPages, maxPagesLimit } = pageLimits(definition.pagination);
+    properties.fetchAll = {
+      type: "boolean",
+      description: "Follow page tokens and merge all pages into a single result.",
+    };
+    properties.maxPages = {
+      type: "integer",
+      minimum: 1,
+      maximum: maxPagesLimit,
+      description: `Maximum number of pages to fetch when fetchAll is set (defaults to ${defaultMaxPages}).`,
+    };
+  }
+  return {
+    type: "object",
+    properties,
+    required: definition.params.filter((param) => param.required).map((param) => param.name),
+    additionalProperties: false,
+  };
+}
+
+function serialize(param, value) {
+  if (Array.isArray(value) && param.separator !== undefined) return value.join(param.separator);
+  if (value !== null && typeof value === "object" && !Array.isArray(value)) {
+    return JSON.stringify(value);
+  }
+  return value;
+}
+
+function applyAuth(auth, url, headers, context) {
+  if (!auth) return;
+  if (auth.type === "basic") {
+    const username = requireCredential(context, auth.usernameEnv);
+    const password = requireCredential(context, auth.passwordEnv);
+    headers.Authorization = `Basic ${Buffer.from(`${username}:${password}`).toString("base64")}`;
+    return;
+  }
+
+  const apiKey = requireCredential(context, auth.env);
+  if (auth.type === "bearer") {
+    headers.Authorization = `Bearer ${apiKey}`;
+  } else if (auth.in === "header") {
+    headers[auth.name] = apiKey;
+  } else {
+    url.searchParams.append(auth.name, apiKey);
+  }
+}
+
+function getPath(value, dottedPath) {
+  return dottedPath.split(".").reduce((node, key) => node?.[key], value);
+}
+
+function postProcess(response, data) {
+  if (!response) return data;
+  let result = response.select ? getPath(data, response.select) : data;
+  if (result && typeof result === "object" && !Array.isArray(result)) {
+    if (response.pick) {
+      result = Object.fromEntries(response.pick.filter((key) => key in result).map((key) => [key, result[key]]));
+    }
+    if (response.omit) {
+      result = Object.fromEntries(
+        Object.entries(result).filter(([key]) => !response.omit.includes(key))
+      );
+    }
+  }
+  return result;
+}
+
+/**
+ * Executes one call of a normalised declarative tool.
+ * @param {Object} definition - As returned by `normalizeDefinition`.
+ * @param {Object} args - Validated arguments.
+ * @param {Object} [context] - Call context carrying per-call credentials (see lib/credentials.js).
+ * @returns {Promise<*>} The (post-processed) response body.
+ */
+export async function executeDeclarative(definition, args, context) {
+  const { request } = definition;
+  const values = {};
+  for (const param of definition.params) {
+    const value = args[param.name] ?? param.schema.default;
+    if (value === undefined || value === null || value === "") continue;
+    if (param.flag && value !== true) continue;
+    values[param.name] = serialize(param, value);
+  }
+
+  try {
+    const rendered = request.url.replace(/\{([^}]+)\}/g, (match, apiName) => {
+      const param = definition.params.find((p) => p.in === "path" && p.apiName === apiName);
+      return encodeURIComponent(values[param.name]);
+    });
+    const url = new URL(rendered);
+    const headers = { ...request.headers };
+    const bodyFields = {};
+
+    for (const param of definition.params) {
+      const value = values[param.name];
+      if (value === undefined) continue;
+      if (param.in === "query") {
+        for (const item of Array.isArray(value) ? value : [value]) {
+          url.searchParams.append(param.apiName, item);
+        }
+      } else if (param.in === "header") {
+        headers[param.apiName] = String(value);
+      } else if (param.in === "body") {
+        bodyFields[param.apiName] = args[param.name] ?? param.schema.default;
+      }
+    }
+    applyAuth(definition.auth, url, headers, context);
+
+    let body;
+    if (definition.params.some((param) => param.in === "body")) {
+      body =
+        request.bodyMode === "urlencoded"
+          ? new URLSearchParams(Object.entries(bodyFields).map(([key, value]) => [key, String(value)]))
+          : bodyFields;
+    }
+
+    const data = await requestJson(url, {
+      tool: definition.name,
+      method: request.method,
+      headers,
+      body,
+      googleStatus: request.googleStatus,
+    });
+    return postProcess(definition.response, data);
+  } catch (error) {
+    throw toToolError(error);
+  }
+}
+
+/**
+ * Builds an `apiTool` object from a declarative definition, so it can be
+ * loaded, listed and called exactly like a hand-written tool module.
+ * @param {Object} spec - Parsed definition.
+ * @returns {Object} The tool, with the normalised definition as `request`.
+ */
+export function createDeclarativeTool(spec) {
+  const definition = normalizeDefinition(spec);
+  return {
+    function: (args, context) => executeDeclarative(definition, args, context),
+    ...(definition.cache && { cache: definition.cache }),
+    ...(definition.pagination && { pagination: definition.pagination }),
+    definition: {
+      type: "function",
+      function: {
+        name: definition.name,
+        description: definition.description || `Call ${definition.request.url}.`,
+        parameters: toParameterSchema(definition),
+      },
+    },
+    ...(definition.outputSchema && { outputSchema: definition.outputSchema }),
+    request: {
+      ...definition.request,
+      auth: definition.auth,
+      params: definition.params.map(({ schema, ...param }) => param),
+    },
+  };
+}
+
+/**
+ * Reads a JSON or YAML tool definition file and builds its tool.
+ * @param {string} file - Absolute path of the definition.
+ * @returns {Object} The tool.
+ */
+export function loadDeclarativeTool(file) {
+  // YAML is a superset of JSON, so one parser covers both formats
+  return createDeclarativeTool(YAML.parse(fs.readFileSync(file, "utf8")));
+}
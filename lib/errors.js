@@ -0,0 +1,248 @@
+/**
+ * Shared error taxonomy for tool execution.
+ *
+ * Tools throw `ToolError`s; the server turns them into MCP `isError: true`
+ * results carrying a machine-readable code, a retryable flag and a hint the
+ * calling agent can act on.
+ */
+
+export const ErrorCodes = Object.freeze({
+  API_KEY_MISSING: "API_KEY_MISSING",
+  INVALID_REQUEST: "INVALID_REQUEST",
+  PERMISSION_DENIED: "PERMISSION_DENIED",
+  NOT_FOUND: "NOT_FOUND",
+  ZERO_RESULTS: "ZERO_RESULTS",
+  RATE_LIMITED: "RATE_LIMITED",
+  UPSTREAM_ERROR: "UPSTREAM_ERROR",
+  NETWORK_ERROR: "NETWORK_ERROR",
+  TIMEOUT: "TIMEOUT",
+  INTERNAL_ERROR: "INTERNAL_ERROR",
+});
+
+const HINTS = {
+  [ErrorCodes.API_KEY_MISSING]:
+    "API key missing: set the required environment variable (e.g. in .env) and restart the server.",
+  [ErrorCodes.INVALID_REQUEST]:
+    "The upstream API rejected the request; check the arguments against the tool's input schema.",
+  [ErrorCodes.PERMISSION_DENIED]:
+    "The API key was rejected; check that it is valid and that the API is enabled for it.",
+  [ErrorCodes.NOT_FOUND]:
+    "The referenced resource does not exist; check identifiers such as place_id.",
+  [ErrorCodes.ZERO_RESULTS]:
+    "The request was valid but matched nothing; try broader or different arguments.",
+  [ErrorCodes.RATE_LIMITED]:
+    "Quota or rate limit exceeded; wait before retrying or reduce request volume.",
+  [ErrorCodes.UPSTREAM_ERROR]:
+    "The upstream API failed to process the request; retrying may succeed.",
+  [ErrorCodes.NETWORK_ERROR]:
+    "The upstream API could not be reached; check network connectivity and retry.",
+  [ErrorCodes.TIMEOUT]:
+    "The upstream API did not respond in time; retry, or raise HTTP_TIMEOUT_MS.",
+  [ErrorCodes.INTERNAL_ERROR]:
+    "The tool failed unexpectedly; see the server logs for details.",
+};
+
+const RETRYABLE = new Set([
+  ErrorCodes.RATE_LIMITED,
+  ErrorCodes.UPSTREAM_ERROR,
+  ErrorCodes.NETWORK_ERROR,
+  ErrorCodes.TIMEOUT,
+]);
+
+/**
+ * Google legacy web service `status` values (Places, Distance Matrix, Time
+ * Zone), which are returned with HTTP 200.
+ */
+const GOOGLE_STATUS_CODES = {
+  ZERO_RESULTS: ErrorCodes.ZERO_RESULTS,
+  NOT_FOUND: ErrorCodes.NOT_FOUND,
+  OVER_QUERY_LIMIT: ErrorCodes.RATE_LIMITED,
+  // Invalid key, billing disabled or a self-imposed cap; waiting does not help
+  OVER_DAILY_LIMIT: ErrorCodes.PERMISSION_DENIED,
+  REQUEST_DENIED: ErrorCodes.PERMISSION_DENIED,
+  INVALID_REQUEST: ErrorCodes.INVALID_REQUEST,
+  MAX_ELEMENTS_EXCEEDED: ErrorCodes.INVALID_REQUEST,
+  MAX_DIMENSIONS_EXCEEDED: ErrorCodes.INVALID_REQUEST,
+  MAX_ROUTE_LENGTH_EXCEEDED: ErrorCodes.INVALID_REQUEST,
+  UNKNOWN_ERROR: ErrorCodes.UPSTREAM_ERROR,
+};
+
+/**
+ * Google Cloud API `error.status` values (Weather, Roads), which accompany a
+ * non-2xx HTTP status.
+ */
+const GOOGLE_RPC_CODES = {
+  INVALID_ARGUMENT: ErrorCodes.INVALID_REQUEST,
+  FAILED_PRECONDITION: ErrorCodes.INVALID_REQUEST,
+  OUT_OF_RANGE: ErrorCodes.INVALID_REQUEST,
+  UNAUTHENTICATED: ErrorCodes.PERMISSION_DENIED,
+  PERMISSION_DENIED: ErrorCodes.PERMISSION_DENIED,
+  NOT_FOUND: ErrorCodes.NOT_FOUND,
+  RESOURCE_EXHAUSTED: ErrorCodes.RATE_LIMITED,
+  UNAVAILABLE: ErrorCodes.UPSTREAM_ERROR,
+  INTERNAL: ErrorCodes.UPSTREAM_ERROR,
+  DEADLINE_EXCEEDED: ErrorCodes.UPSTREAM_ERROR,
+};
+
+/**
+ * Error raised by tools for failures the caller should see as a tool error.
+ */
+export class ToolError extends Error {
+  /**
+   * @param {string} code - One of `ErrorCodes`.
+   * @param {string} message - Human-readable description of the failure.
+   * @param {Object} [options]
+   * @param {boolean} [options.retryable] - Whether retrying the same call may succeed.
+   * @param {string} [options.hint] - Advice for the caller; defaults to the code's hint.
+   * @param {number} [options.httpStatus] - HTTP status returned by the upstream API.
+   * @param {string} [options.upstreamStatus] - Status string reported by the upstream API.
+   * @param {*} [options.cause] - The underlying error.
+   */
+  constructor(code, message, options = {}) {
+    super(message, options.cause ? { cause: options.cause } : undefined);
+    this.name = "ToolError";
+    this.code = code;
+    this.retryable = options.retryable ?? RETRYABLE.has(code);
+    this.hint = options.hint ?? HINTS[code];
+    this.httpStatus = options.httpStatus;
+    this.upstreamStatus = options.upstreamStatus;
+  }
+
+  toJSON() {
+    return {
+      code: this.code,
+      message: this.message,
+      retryable: this.retryable,
+      hint: this.hint,
+      ...(this.httpStatus !== undefined && { httpStatus: this.httpStatus }),
+      ...(this.upstreamStatus !== undefined && {
+        upstreamStatus: this.upstreamStatus,
+      }),
+    };
+  }
+}
+
+/**
+ * Builds the error thrown when a required credential is not configured.
+ * @param {string} envVar - Name of the environment variable holding the key.
+ * @returns {ToolError}
+ */
+export function missingApiKeyError(envVar) {
+  return new ToolError(ErrorCodes.API_KEY_MISSING, `${envVar} is not set`, {
+    hint: `API key missing: set ${envVar} in the environment or .env file and restart the server.`,
+  });
+}
+
+/**
+ * Builds the error thrown when a remote client did not supply a credential
+ * and the server does not fall back to its own environment.
+ * @param {string} name - Credential (environment variable) name.
+ * @param {string} header - The API key header clients can send.
+ * @returns {ToolError}
+ */
+export function missingCredentialError(name, header) {
+  const headerName = `X-Credential-${name
+    .toLowerCase()
+    .split("_")
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join("-")}`;
+  return new ToolError(ErrorCodes.API_KEY_MISSING, `No ${name} was supplied for this session`, {
+    hint:
+      `API key missing: send your own key in the ${header} or ${headerName} header, ` +
+      "or as capabilities.experimental.credentials when initializing.",
+  });
+}
+
+/**
+ * Throws a `ToolError` if a Google web service response body reports a
+ * non-OK `status`.
+ * @param {Object} data - Parsed response body.
+ */
+export function assertGoogleStatus(data) {
+  const status = data?.status;
+  if (!status || status === "OK") return;
+
+  const code = GOOGLE_STATUS_CODES[status] || ErrorCodes.UPSTREAM_ERROR;
+  const message = data.error_message || data.errorMessage || status;
+  throw new ToolError(code, message, { upstreamStatus: status });
+}
+
+/**
+ * Builds a `ToolError` from a non-2xx HTTP response, tolerating bodies that
+ * are not JSON (e.g. an HTML 502 page).
+ * @param {Response} response
+ * @returns {Promise<ToolError>}
+ */
+export async function httpError(response) {
+  const text = await response.text().catch(() => "");
+  let body;
+  try {
+    body = JSON.parse(text);
+  } catch {
+    body = undefined;
+  }
+
+  const upstreamStatus = body?.error?.status || body?.status;
+  const message =
+    body?.error?.message ||
+    body?.error_message ||
+    text.trim().slice(0, 200) ||
+    response.statusText ||
+    `HTTP ${response.status}`;
+
+  return new ToolError(codeForHttpStatus(response.status, upstreamStatus), message, {
+    httpStatus: response.status,
+    upstreamStatus,
+  });
+}
+
+function codeForHttpStatus(httpStatus, upstreamStatus) {
+  if (GOOGLE_RPC_CODES[upstreamStatus]) return GOOGLE_RPC_CODES[upstreamStatus];
+  if (GOOGLE_STATUS_CODES[upstreamStatus]) return GOOGLE_STATUS_CODES[upstreamStatus];
+  if (httpStatus === 429) return ErrorCodes.RATE_LIMITED;
+  if (httpStatus === 401 || httpStatus === 403) return ErrorCodes.PERMISSION_DENIED;
+  if (httpStatus === 404) return ErrorCodes.NOT_FOUND;
+  if (httpStatus >= 500) return ErrorCodes.UPSTREAM_ERROR;
+  return ErrorCodes.INVALID_REQUEST;
+}
+
+/**
+ * Normalises any thrown value into a `ToolError`. Failures of `fetch` itself
+ * become `NETWORK_ERROR`; anything else unexpected becomes `INTERNAL_ERROR`.
+ * @param {*} error
+ * @returns {ToolError}
+ */
+export function toToolError(error) {
+  if (error instanceof ToolError) return error;
+  if (error instanceof TypeError && error.message === "fetch failed") {
+    const reason = error.cause?.code || error.cause?.message;
+    return new ToolError(
+      ErrorCodes.NETWORK_ERROR,
+      reason ? `fetch failed: ${reason}` : "fetch failed",
+      { cause: error }
+    );
+  }
+  return new ToolError(
+    ErrorCodes.INTERNAL_ERROR,
+    error instanceof Error ? error.message : JSON.stringify(error),
+    { cause: error }
+  );
+}
+
+/**
+ * Converts a thrown value into an MCP `CallToolResult` with `isError: true`.
+ * @param {*} error
+ * @returns {Object}
+ */
+export function toErrorResult(error) {
+  const toolError = toToolError(error);
+  return {
+    isError: true,
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify({ error: toolError }, null, 2),
+      },
+    ],
+  };
+}
@@ -0,0 +1,236 @@
+import fs from "fs";
+import path from "path";
+import { PROJECT_ROOT } from "./config.js";
+import { createLogger } from "./logger.js";
+
+/**
+ * Event stores for resumable Streamable HTTP streams.
+ *
+ * The SDK transport stores every message it sends on an SSE stream and, when
+ * a client reconnects with `Last-Event-ID`, asks the store to replay what
+ * followed that event on the same stream. Stream IDs are only unique within
+ * a transport (every session's GET stream is `_GET_stream`), so each session
+ * gets its own view of the store (see `forSession()`). Event IDs have the
+ * form `<base64url session id/stream id>.<sequence>`: the view recovers the
+ * stream from the ID alone and rejects IDs issued to other sessions.
+ *
+ * A session's streams are deleted when it ends (see `deleteSession()`), and
+ * streams that receive no events for `maxAgeSeconds` are pruned while the
+ * server runs.
+ */
+
+const DEFAULT_MAX_EVENTS_PER_STREAM = 1000;
+const DEFAULT_MAX_AGE_SECONDS = 24 * 60 * 60;
+const MAX_PRUNE_INTERVAL_MS = 60 * 1000;
+
+const log = createLogger("event-store");
+
+function eventId(sessionId, streamId, seq) {
+  return `${Buffer.from(`${sessionId}/${streamId}`).toString("base64url")}.${seq}`;
+}
+
+function parseEventId(id) {
+  const [encoded, seq] = String(id).split(".");
+  if (!encoded || !/^\d+$/.test(seq || "")) return null;
+  const decoded = Buffer.from(encoded, "base64url").toString();
+  const slash = decoded.indexOf("/");
+  if (slash <= 0) return null;
+  return {
+    sessionId: decoded.slice(0, slash),
+    streamId: decoded.slice(slash + 1),
+    seq: Number(seq),
+  };
+}
+
+/**
+ * Shared part of the stores: per-session views and periodic pruning.
+ * Subclasses implement `append()`, `events()`, `deleteSession()` and
+ * `prune()`.
+ */
+class EventStore {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxAgeSeconds=86400] - Age after which idle streams are pruned.
+   */
+  constructor(options = {}) {
+    this.maxAgeMs = (options.maxAgeSeconds ?? DEFAULT_MAX_AGE_SECONDS) * 1000;
+    this.timer = setInterval(() => {
+      try {
+        this.prune();
+      } catch (error) {
+        log.error("Failed to prune event store", { error: error.message });
+      }
+    }, Math.min(this.maxAgeMs, MAX_PRUNE_INTERVAL_MS));
+    this.timer.unref();
+  }
+
+  /**
+   * Returns the store as the SDK transport of one session expects it.
+   * @param {string} sessionId
+   * @returns {Object} An SDK `EventStore`.
+   */
+  forSession(sessionId) {
+    const own = (id) => {
+      const parsed = parseEventId(id);
+      return parsed?.sessionId === sessionId ? parsed : null;
+    };
+    return {
+      storeEvent: async (streamId, message) =>
+        eventId(sessionId, streamId, await this.append(sessionId, streamId, message)),
+      // Undefined for another session's event, which the transport rejects
+      getStreamIdForEventId: async (id) => own(id)?.streamId,
+      replayEventsAfter: async (lastEventId, { send }) => {
+        const parsed = own(lastEventId);
+        if (!parsed) throw new Error("Event ID does not belong to this session");
+        for (const { seq, message } of this.events(sessionId, parsed.streamId)) {
+          if (seq > parsed.seq) await send(eventId(sessionId, parsed.streamId, seq), message);
+        }
+        return parsed.streamId;
+      },
+    };
+  }
+
+  /** Stops pruning, e.g. in tests. */
+  close() {
+    clearInterval(this.timer);
+  }
+}
+
+/**
+ * Keeps the most recent events of each stream in memory.
+ */
+export class MemoryEventStore extends EventStore {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxEventsPerStream=1000]
+   * @param {number} [options.maxAgeSeconds=86400] - Age after which idle streams are pruned.
+   */
+  constructor(options = {}) {
+    super(options);
+    this.maxEventsPerStream = options.maxEventsPerStream ?? DEFAULT_MAX_EVENTS_PER_STREAM;
+    // Session ID -> stream ID -> { seq, events, updated }
+    this.sessions = new Map();
+  }
+
+  append(sessionId, streamId, message) {
+    if (!this.sessions.has(sessionId)) this.sessions.set(sessionId, new Map());
+    const streams = this.sessions.get(sessionId);
+    const stream = streams.get(streamId) || { seq: 0, events: [] };
+    streams.set(streamId, stream);
+    stream.seq++;
+    stream.updated = Date.now();
+    stream.events.push({ seq: stream.seq, message });
+    if (stream.events.length > this.maxEventsPerStream) stream.events.shift();
+    return stream.seq;
+  }
+
+  events(sessionId, streamId) {
+    return this.sessions.get(sessionId)?.get(streamId)?.events || [];
+  }
+
+  deleteSession(sessionId) {
+    this.sessions.delete(sessionId);
+  }
+
+  prune() {
+    const cutoff = Date.now() - this.maxAgeMs;
+    for (const [sessionId, streams] of this.sessions) {
+      for (const [streamId, stream] of streams) {
+        if (stream.updated < cutoff) streams.delete(streamId);
+      }
+      if (streams.size === 0) this.sessions.delete(sessionId);
+    }
+  }
+}
+
+/**
+ * Appends events to one JSON-lines file per stream, in a directory per
+ * session, so long-running streams do not grow the server's memory.
+ */
+export class FileEventStore extends EventStore {
+  /**
+   * @param {string} dir - Directory for the stream files, created if missing.
+   * @param {Object} [options]
+   * @param {number} [options.maxAgeSeconds=86400] - Age after which stream files are pruned.
+   */
+  constructor(dir, options = {}) {
+    super(options);
+    this.dir = dir;
+    this.seqs = new Map();
+    fs.mkdirSync(dir, { recursive: true });
+    this.prune();
+  }
+
+  sessionDir(sessionId) {
+    return path.join(this.dir, Buffer.from(sessionId).toString("base64url"));
+  }
+
+  fileFor(sessionId, streamId) {
+    return path.join(
+      this.sessionDir(sessionId),
+      `${Buffer.from(streamId).toString("base64url")}.jsonl`
+    );
+  }
+
+  append(sessionId, streamId, message) {
+    const file = this.fileFor(sessionId, streamId);
+    if (!this.seqs.has(file)) {
+      this.seqs.set(file, this.events(sessionId, streamId).at(-1)?.seq ?? 0);
+    }
+    const seq = this.seqs.get(file) + 1;
+    this.seqs.set(file, seq);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.appendFileSync(file, `${JSON.stringify({ seq, message })}\n`);
+    return seq;
+  }
+
+  events(sessionId, streamId) {
+    const file = this.fileFor(sessionId, streamId);
+    if (!fs.existsSync(file)) return [];
+    return fs
+      .readFileSync(file, "utf8")
+      .split("\n")
+      .filter(Boolean)
+      .map((line) => JSON.parse(line));
+  }
+
+  deleteSession(sessionId) {
+    const dir = this.sessionDir(sessionId);
+    for (const file of this.seqs.keys()) {
+      if (path.dirname(file) === dir) this.seqs.delete(file);
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  prune() {
+    const cutoff = Date.now() - this.maxAgeMs;
+    const pruneDir = (dir) => {
+      for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          pruneDir(fullPath);
+          if (fs.readdirSync(fullPath).length === 0) fs.rmdirSync(fullPath);
+        } else if (entry.name.endsWith(".jsonl") && fs.statSync(fullPath).mtimeMs < cutoff) {
+          fs.rmSync(fullPath);
+          this.seqs.delete(fullPath);
+        }
+      }
+    };
+    pruneDir(this.dir);
+  }
+}
+
+/**
+ * Creates the configured event store.
+ * @param {string} kind - `memory`, `file` or `none`.
+ * @param {Object} [options]
+ * @param {string} [options.dir] - Directory for the file store, relative to the project root.
+ * @returns {MemoryEventStore|FileEventStore|undefined} Undefined for `none`.
+ * @throws {Error} For an unknown kind.
+ */
+export function createEventStore(kind, options = {}) {
+  if (kind === "none") return undefined;
+  if (kind === "memory") return new MemoryEventStore();
+  if (kind === "file") return new FileEventStore(path.resolve(PROJECT_ROOT, options.dir));
+  throw new Error(`Unknown event store "${kind}"; expected memory, file or none`);
+}
@@ -0,0 +1,155 @@
+import { PAGINATION_PARAMS } from "./pagination.js";
+
+/**
+ * Converts loaded tools into the tool-declaration formats of MCP and the
+ * common LLM function-calling APIs. Each exporter returns the value that API
+ * expects for its tool list, so the catalogue can be used without MCP.
+ *
+ * Only `mcp` keeps the `fetchAll`/`maxPages` arguments of paged tools: they
+ * are handled by the pipeline (see lib/pipeline.js), which callers of the
+ * other formats do not go through.
+ */
+
+const JSON_SCHEMA_DRAFT = "https://json-schema.org/draft/2020-12/schema";
+
+// Schema keywords the Gemini API accepts in function declarations
+const GEMINI_KEYWORDS = new Set([
+  "type",
+  "format",
+  "title",
+  "description",
+  "nullable",
+  "enum",
+  "items",
+  "properties",
+  "required",
+  "minItems",
+  "maxItems",
+  "minLength",
+  "maxLength",
+  "minimum",
+  "maximum",
+  "pattern",
+  "default",
+  "anyOf",
+]);
+
+function withoutPaginationArgs(parameters) {
+  const properties = { ...parameters.properties };
+  for (const name of PAGINATION_PARAMS) delete properties[name];
+  return {
+    ...parameters,
+    properties,
+    ...(parameters.required && {
+      required: parameters.required.filter((name) => !PAGINATION_PARAMS.includes(name)),
+    }),
+  };
+}
+
+function toolFunction(tool, { pipeline = false } = {}) {
+  const { name, description, parameters } = tool.definition.function;
+  const schema = parameters || { type: "object", properties: {} };
+  return {
+    name,
+    description: description || "",
+    parameters: tool.pagination && !pipeline ? withoutPaginationArgs(schema) : schema,
+  };
+}
+
+/**
+ * Shapes a tool as an entry of the MCP `tools/list` result.
+ * @param {Object} tool
+ * @returns {Object}
+ */
+export function toMcpTool(tool) {
+  const { name, description, parameters } = toolFunction(tool, { pipeline: true });
+  return {
+    name,
+    description,
+    inputSchema: parameters,
+    ...(tool.outputSchema && { outputSchema: tool.outputSchema }),
+  };
+}
+
+/**
+ * Rewrites a JSON Schema into the OpenAPI subset used by Gemini: upper-case
+ * types, `nullable` instead of `null` types, string-only enums and no
+ * unsupported keywords.
+ */
+function toGeminiSchema(schema) {
+  if (!schema || typeof schema !== "object") return schema;
+
+  const result = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (!GEMINI_KEYWORDS.has(key)) continue;
+    if (key === "properties") {
+      result.properties = Object.fromEntries(
+        Object.entries(value).map(([name, property]) => [name, toGeminiSchema(property)])
+      );
+    } else if (key === "items") {
+      result.items = toGeminiSchema(value);
+    } else if (key === "anyOf") {
+      result.anyOf = value.map(toGeminiSchema);
+    } else {
+      result[key] = value;
+    }
+  }
+
+  const types = [].concat(schema.type || []);
+  const nonNull = types.filter((type) => type !== "null");
+  if (nonNull.length) result.type = nonNull[0].toUpperCase();
+  else delete result.type;
+  if (types.includes("null")) result.nullable = true;
+  if (result.enum && result.type !== "STRING") delete result.enum;
+  if (Array.isArray(result.required) && result.required.length === 0) delete result.required;
+  return result;
+}
+
+export const EXPORT_FORMATS = {
+  /** The result of an MCP `tools/list` request. */
+  mcp: (tools) => ({ tools: tools.map(toMcpTool) }),
+
+  /** The `tools` array of the OpenAI Chat Completions API. */
+  openai: (tools) => tools.map((tool) => ({ type: "function", function: toolFunction(tool) })),
+
+  /** The `tools` array of the Anthropic Messages API. */
+  anthropic: (tools) =>
+    tools.map((tool) => {
+      const { name, description, parameters } = toolFunction(tool);
+      return { name, description, input_schema: parameters };
+    }),
+
+  /** The `tools` array of the Gemini API, holding one set of function declarations. */
+  gemini: (tools) => [
+    {
+      functionDeclarations: tools.map((tool) => {
+        const { name, description, parameters } = toolFunction(tool);
+        const schema = toGeminiSchema(parameters);
+        return {
+          name,
+          description,
+          ...(Object.keys(schema.properties || {}).length > 0 && { parameters: schema }),
+        };
+      }),
+    },
+  ],
+
+  /**
+   * One JSON Schema document with each tool's input schema under
+   * `$defs/<name>` and its output schema, if any, under `$defs/<name>_output`.
+   */
+  "json-schema": (tools) => ({
+    $schema: JSON_SCHEMA_DRAFT,
+    title: "Tool schemas",
+    $defs: Object.fromEntries(
+      tools.flatMap((tool) => {
+        const { name, description, parameters } = toolFunction(tool);
+        const entries = [[name, { title: name, description, ...parameters }]];
+        if (tool.outputSchema) {
+          entries.push([`${name}_output`, { title: `${name} result`, ...tool.outputSchema }]);
+        }
+        return entries;
+      })
+    ),
+  }),
+};
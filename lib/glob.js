@@ -0,0 +1,62 @@
+/**
+ * Minimal glob matching for forward-slash paths.
+ *
+ * Supports `**` (any number of path segments), `*` (anything but `/`), `?`
+ * (a single character other than `/`) and `{a,b}` alternatives.
+ */
+
+const cache = new Map();
+
+/**
+ * Compiles a glob pattern into a regular expression.
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+export function globToRegExp(pattern) {
+  if (cache.has(pattern)) return cache.get(pattern);
+
+  let source = "";
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === "*") {
+      if (pattern[i + 1] === "*") {
+        // `**/` matches zero or more directories; a trailing `**` matches the rest
+        const slash = pattern[i + 2] === "/";
+        source += slash ? "(?:.*/)?" : ".*";
+        i += slash ? 2 : 1;
+      } else {
+        source += "[^/]*";
+      }
+    } else if (char === "?") {
+      source += "[^/]";
+    } else if (char === "{") {
+      const end = pattern.indexOf("}", i);
+      if (end === -1) {
+        source += "\\{";
+      } else {
+        const alternatives = pattern
+          .slice(i + 1, end)
+          .split(",")
+          .map((alt) => alt.replace(/[.+^${}()|[\]\\]/g, "\\$&"));
+        source += `(?:${alternatives.join("|")})`;
+        i = end;
+      }
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+
+  const regExp = new RegExp(`^${source}$`);
+  cache.set(pattern, regExp);
+  return regExp;
+}
+
+/**
+ * Tests whether a path matches any of the given glob patterns.
+ * @param {string} filePath - Path using forward slashes.
+ * @param {string[]} patterns
+ * @returns {boolean}
+ */
+export function matchesAny(filePath, patterns) {
+  return patterns.some((pattern) => globToRegExp(pattern).test(filePath));
+}
@@ -0,0 +1,34 @@
+import { credentialNames, credentialOptions } from "./credentials.js";
+
+// Why missing keys do not fail readiness when remote clients bring their own
+const CLIENT_KEYS_NOTE =
+  "envFallback is off: remote clients must send their own API keys, so keys missing " +
+  "from the server's environment do not affect readiness";
+
+/**
+ * Readiness of the server for container probes: tools are loaded and the
+ * API keys the server itself would use are present.
+ *
+ * Keys missing from the environment are always listed, but only fail
+ * readiness when remote calls fall back to the server's environment
+ * (`envFallback`, see lib/credentials.js). Without it, which is the default,
+ * each client brings its own key and the server's are never used for their
+ * calls; the response says so in `checks.credentials.note`.
+ *
+ * @param {Array} tools - Tools as returned by `discoverTools()`.
+ * @returns {{ ready: boolean, checks: Object }}
+ */
+export function readiness(tools) {
+  const { envFallback } = credentialOptions();
+  const missing = credentialNames(tools).filter((name) => !process.env[name]);
+  const checks = {
+    tools: { ok: tools.length > 0, loaded: tools.length },
+    credentials: {
+      ok: !envFallback || missing.length === 0,
+      source: envFallback ? "environment" : "clients",
+      ...(missing.length > 0 && { missing }),
+      ...(!envFallback && { note: CLIENT_KEYS_NOTE }),
+    },
+  };
+  return { ready: Object.values(checks).every((check) => check.ok), checks };
+}
@@ -0,0 +1,206 @@
+import { ErrorCodes, ToolError, assertGoogleStatus, httpError, toToolError } from "./errors.js";
+import { createLogger } from "./logger.js";
+import { recordUpstreamResponse } from "./metrics.js";
+
+/**
+ * Outbound HTTP client shared by all tools.
+ *
+ * Adds per-request timeouts, retries with exponential backoff and full jitter
+ * for rate limiting and transient upstream failures, `Retry-After` support
+ * and safe parsing of response bodies.
+ *
+ * Settings resolve in this order, later entries winning:
+ *   1. built-in defaults
+ *   2. global env: HTTP_TIMEOUT_MS, HTTP_MAX_RETRIES, HTTP_RETRY_BASE_MS, HTTP_RETRY_MAX_MS
+ *   3. options passed by the tool
+ *   4. per-tool env: the global names suffixed with the upper-cased tool
+ *      name, e.g. HTTP_TIMEOUT_MS_SNAP_TO_ROADS
+ *
+ * Requests are logged at `debug` and retries at `warning`; API keys in the
+ * logged URLs are masked by lib/logger.js.
+ */
+
+const DEFAULTS = {
+  timeoutMs: 10000,
+  maxRetries: 2,
+  retryBaseMs: 500,
+  retryMaxMs: 8000,
+};
+
+const ENV_NAMES = {
+  timeoutMs: "HTTP_TIMEOUT_MS",
+  maxRetries: "HTTP_MAX_RETRIES",
+  retryBaseMs: "HTTP_RETRY_BASE_MS",
+  retryMaxMs: "HTTP_RETRY_MAX_MS",
+};
+
+const IDEMPOTENT_METHODS = new Set(["GET", "HEAD", "OPTIONS", "PUT", "DELETE"]);
+
+const log = createLogger("http");
+
+function readEnvNumber(name) {
+  const raw = process.env[name];
+  if (raw === undefined || raw === "") return undefined;
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value < 0) {
+    log.warning(`Ignoring invalid ${name}=${raw}`);
+    return undefined;
+  }
+  return value;
+}
+
+/**
+ * Resolves the effective client settings for a request.
+ * @param {Object} [options] - Settings passed by the tool.
+ * @returns {{ timeoutMs: number, maxRetries: number, retryBaseMs: number, retryMaxMs: number }}
+ */
+export function resolveHttpSettings(options = {}) {
+  const suffix = options.tool
+    ? `_${options.tool.toUpperCase().replace(/[^A-Z0-9]+/g, "_")}`
+    : null;
+  const settings = {};
+  for (const [key, envName] of Object.entries(ENV_NAMES)) {
+    settings[key] =
+      (suffix && readEnvNumber(`${envName}${suffix}`)) ??
+      options[key] ??
+      readEnvNumber(envName) ??
+      DEFAULTS[key];
+  }
+  return settings;
+}
+
+/**
+ * Parses a `Retry-After` header (delta-seconds or HTTP date) into milliseconds.
+ * @param {string|null} value
+ * @returns {number|undefined}
+ */
+function parseRetryAfter(value) {
+  if (!value) return undefined;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+  return undefined;
+}
+
+function backoffDelay(attempt, { retryBaseMs, retryMaxMs }) {
+  const ceiling = Math.min(retryMaxMs, retryBaseMs * 2 ** attempt);
+  return Math.round(Math.random() * ceiling);
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function parseJsonBody(response) {
+  const text = await response.text();
+  if (!text) return {};
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new ToolError(
+      ErrorCodes.UPSTREAM_ERROR,
+      `Expected a JSON response but got: ${text.trim().slice(0, 200)}`,
+      { httpStatus: response.status }
+    );
+  }
+}
+
+async function attempt(url, init, settings, googleStatus, tool) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), settings.timeoutMs);
+  const started = performance.now();
+  try {
+    const response = await fetch(url, { ...init, signal: controller.signal });
+    recordUpstreamResponse(tool, response.status);
+    log.debug("Upstream request", {
+      method: init.method,
+      url: String(url),
+      status: response.status,
+      durationMs: Math.round(performance.now() - started),
+    });
+    if (!response.ok) {
+      const error = await httpError(response);
+      error.retryAfterMs = parseRetryAfter(response.headers.get("retry-after"));
+      throw error;
+    }
+    const data = await parseJsonBody(response);
+    if (googleStatus) assertGoogleStatus(data);
+    return data;
+  } catch (error) {
+    if (controller.signal.aborted) {
+      throw new ToolError(
+        ErrorCodes.TIMEOUT,
+        `Request timed out after ${settings.timeoutMs} ms`,
+        { cause: error }
+      );
+    }
+    throw toToolError(error);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Performs an HTTP request and returns the parsed JSON body.
+ *
+ * @param {string|URL} url - The request URL, including query parameters.
+ * @param {Object} [options]
+ * @param {string} [options.method='GET'] - HTTP method.
+ * @param {Object} [options.headers] - Extra request headers.
+ * @param {*} [options.body] - Request body; plain objects are sent as JSON.
+ * @param {string} [options.tool] - Tool name, used for per-tool env overrides.
+ * @param {boolean} [options.googleStatus=false] - Treat a non-OK `status` in the
+ *   body as a failure (Google legacy web services).
+ * @param {number} [options.timeoutMs] - Per-attempt timeout.
+ * @param {number} [options.maxRetries] - Retries after the first attempt.
+ * @param {number} [options.retryBaseMs] - Base delay for exponential backoff.
+ * @param {number} [options.retryMaxMs] - Upper bound for a single backoff delay.
+ * @returns {Promise<Object>} The parsed response body.
+ * @throws {ToolError} When the request ultimately fails.
+ */
+export async function requestJson(url, options = {}) {
+  const { method = "GET", headers = {}, body, googleStatus = false } = options;
+  const settings = resolveHttpSettings(options);
+  const isJsonBody = body !== undefined && typeof body === "object" && !(body instanceof URLSearchParams);
+
+  const init = {
+    method,
+    headers: {
+      Accept: "application/json",
+      ...(isJsonBody && { "Content-Type": "application/json" }),
+      ...headers,
+    },
+    ...(body !== undefined && { body: isJsonBody ? JSON.stringify(body) : body }),
+  };
+
+  for (let attemptNumber = 0; ; attemptNumber++) {
+    try {
+      return await attempt(url, init, settings, googleStatus, options.tool);
+    } catch (error) {
+      if (!shouldRetry(error, method, attemptNumber, settings)) throw error;
+
+      const delay = error.retryAfterMs ?? backoffDelay(attemptNumber, settings);
+      log.warning("Retrying upstream request", {
+        method,
+        url: String(url),
+        attempt: attemptNumber + 1,
+        delayMs: delay,
+        code: error.code,
+        error: error.message,
+      });
+      await sleep(delay);
+    }
+  }
+}
+
+function shouldRetry(error, method, attemptNumber, settings) {
+  if (!error.retryable || attemptNumber >= settings.maxRetries) return false;
+  // A 429 means the request was refused, so even non-idempotent calls are safe to repeat
+  if (!IDEMPOTENT_METHODS.has(method.toUpperCase()) && error.httpStatus !== 429) {
+    return false;
+  }
+  // Give up rather than ignore a server asking us to wait longer than we are willing to
+  if (error.retryAfterMs !== undefined && error.retryAfterMs > settings.retryMaxMs) {
+    return false;
+  }
+  return true;
+}
@@ -0,0 +1,242 @@
+import fs from "fs";
+import path from "path";
+import { PAGINATION_PARAMS } from "./pagination.js";
+import { TOOLS_DIR } from "./tools.js";
+import { checkSchema } from "./validation.js";
+
+/**
+ * Static checks for drift between what a tool declares and what it does.
+ *
+ * Every tool is checked for missing descriptions, invalid schemas and
+ * suspicious values. Hand-written and generated JS modules are additionally
+ * parsed (without running them) so their destructured parameters, their
+ * JSDoc `@param` tags and their `parameters` schema can be compared.
+ */
+
+const UNITS = ["second", "minute", "hour", "day", "week", "month", "year"];
+
+function literal(text) {
+  const trimmed = text.trim();
+  if (/^'.*'$/s.test(trimmed)) return trimmed.slice(1, -1);
+  try {
+    return JSON.parse(trimmed);
+  } catch {
+    return trimmed;
+  }
+}
+
+/**
+ * Splits `text` on commas that are not nested in brackets or strings.
+ */
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let current = "";
+  for (const char of text) {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === "'" || char === '"' || char === "`") {
+      quote = char;
+    } else if ("{[(".includes(char)) {
+      depth++;
+    } else if ("}])".includes(char)) {
+      depth--;
+    } else if (char === "," && depth === 0) {
+      parts.push(current);
+      current = "";
+      continue;
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.map((part) => part.trim()).filter(Boolean);
+}
+
+/**
+ * Reads the destructured parameters of `executeFunction` from module source.
+ * @returns {Map<string, { default?: * }>|null} Null when the pattern is not found.
+ */
+function destructuredParams(source) {
+  const start = source.search(/const executeFunction = async \(\s*\{/);
+  if (start === -1) return null;
+
+  const open = source.indexOf("{", start);
+  let depth = 0;
+  let end = open;
+  for (; end < source.length; end++) {
+    if (source[end] === "{") depth++;
+    if (source[end] === "}" && --depth === 0) break;
+  }
+
+  const params = new Map();
+  for (const part of splitTopLevel(source.slice(open + 1, end))) {
+    const [name, ...rest] = part.split("=");
+    params.set(name.trim(), rest.length ? { default: literal(rest.join("=")) } : {});
+  }
+  return params;
+}
+
+/**
+ * Reads the `@param` tags of the JSDoc block above `executeFunction`.
+ * @returns {Map<string, { optional: boolean, default?: *, description: string }>}
+ */
+function jsDocParams(source) {
+  const start = source.search(/const executeFunction = async/);
+  const before = source.slice(0, start);
+  const blockStart = before.lastIndexOf("/**");
+  const params = new Map();
+  if (blockStart === -1 || !/\*\/\s*$/.test(before)) return params;
+
+  const block = before.slice(blockStart);
+  const tag = /@param\s+\{[^}]*\}\s+(\[[^\]]+\]|\S+)\s*(?:-\s*)?(.*)/g;
+  for (const [, target, description] of block.matchAll(tag)) {
+    const optional = target.startsWith("[");
+    const [name, defaultText] = target.replace(/^\[|\]$/g, "").split("=");
+    if (!name.startsWith("args.")) continue;
+    params.set(name.slice("args.".length), {
+      optional,
+      ...(defaultText !== undefined && { default: literal(defaultText) }),
+      description: description.trim(),
+    });
+  }
+  return params;
+}
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+function unitsIn(text) {
+  const lower = (text || "").toLowerCase();
+  return UNITS.filter((unit) => new RegExp(`\\b${unit}s?\\b`).test(lower));
+}
+
+function lintSchema(tool, report) {
+  const fn = tool.definition.function;
+  const schema = fn.parameters || {};
+  const properties = schema.properties || {};
+  const required = new Set(schema.required || []);
+
+  if (!fn.description?.trim()) report("error", "tool has no description");
+  for (const problem of checkSchema(schema, "parameters")) report("error", problem);
+
+  for (const [name, property] of Object.entries(properties)) {
+    if (!property.description?.trim()) report("warning", `${name}: missing description`);
+    if (!property.type && !property.enum && !property.const) {
+      report("warning", `${name}: no type in schema`);
+    }
+    if (required.has(name) && property.default !== undefined) {
+      report("warning", `${name}: required parameter has a default, so the default is never used`);
+    }
+
+    // A name promising one unit and a description talking about another
+    const nameUnits = unitsIn(name.replace(/([a-z])([A-Z])/g, "$1 $2").replace(/_/g, " "));
+    const descriptionUnits = unitsIn(property.description);
+    if (
+      nameUnits.length === 1 &&
+      descriptionUnits.length > 0 &&
+      !descriptionUnits.includes(nameUnits[0])
+    ) {
+      report(
+        "warning",
+        `${name}: name suggests ${nameUnits[0]}s but the description talks about ${descriptionUnits.join("/")}s`
+      );
+    }
+  }
+
+  // Region parameters take CLDR/ccTLD region codes, never language codes
+  const languageDefault = Object.entries(properties).find(([name]) =>
+    /^language(Code)?$/.test(name)
+  )?.[1]?.default;
+  for (const [name, property] of Object.entries(properties)) {
+    if (/region/i.test(name) && property.default !== undefined && property.default === languageDefault) {
+      report(
+        "warning",
+        `${name}: default ${JSON.stringify(property.default)} is the language default; regions are country codes`
+      );
+    }
+  }
+
+  const hasControls = PAGINATION_PARAMS.some((name) => properties[name]);
+  if (tool.pagination && !hasControls) {
+    report("warning", "pagination is configured but fetchAll/maxPages are not in the schema");
+  }
+  if (!tool.pagination && hasControls) {
+    report("warning", "fetchAll/maxPages are in the schema but the tool has no pagination config");
+  }
+}
+
+function lintSource(tool, source, report) {
+  const schema = tool.definition.function.parameters || {};
+  const properties = schema.properties || {};
+  const required = new Set(schema.required || []);
+  const pipelineHandled = (name) => Boolean(tool.pagination) && PAGINATION_PARAMS.includes(name);
+
+  const destructured = destructuredParams(source);
+  if (!destructured) {
+    report("warning", "could not find `const executeFunction = async ({ ... })` to compare");
+    return;
+  }
+  const documented = jsDocParams(source);
+
+  for (const [name, { default: codeDefault }] of destructured) {
+    const property = properties[name];
+    if (!property) {
+      report("error", `${name}: destructured but not in the schema, so callers cannot pass it`);
+      continue;
+    }
+    if (codeDefault !== undefined && property.default === undefined) {
+      report("warning", `${name}: default ${JSON.stringify(codeDefault)} is not in the schema`);
+    } else if (codeDefault !== undefined && !same(codeDefault, property.default)) {
+      report(
+        "error",
+        `${name}: code default ${JSON.stringify(codeDefault)} differs from schema default ${JSON.stringify(property.default)}`
+      );
+    }
+  }
+
+  for (const name of Object.keys(properties)) {
+    if (!destructured.has(name) && !pipelineHandled(name)) {
+      report("warning", `${name}: in the schema but never read by the function`);
+    }
+    if (!documented.has(name) && !pipelineHandled(name)) {
+      report("warning", `${name}: not documented with @param`);
+    }
+  }
+
+  for (const [name, doc] of documented) {
+    if (!properties[name]) {
+      report("warning", `${name}: documented with @param but not in the schema`);
+      continue;
+    }
+    if (!doc.optional && !required.has(name)) {
+      report("warning", `${name}: @param marks it required but the schema does not`);
+    }
+    if (doc.optional && required.has(name)) {
+      report("warning", `${name}: @param marks it optional but the schema requires it`);
+    }
+    const codeDefault = destructured.get(name)?.default;
+    if (doc.default !== undefined && codeDefault !== undefined && !same(doc.default, codeDefault)) {
+      report(
+        "warning",
+        `${name}: @param default ${JSON.stringify(doc.default)} differs from code default ${JSON.stringify(codeDefault)}`
+      );
+    }
+    if (!doc.description) report("warning", `${name}: @param has no description`);
+  }
+}
+
+/**
+ * Lints one tool.
+ * @param {Object} tool - A tool as returned by `loadToolModules()`.
+ * @returns {Array<{ level: 'error'|'warning', message: string }>}
+ */
+export function lintTool(tool) {
+  const findings = [];
+  const report = (level, message) => findings.push({ level, message });
+
+  lintSchema(tool, report);
+  if (!tool.plugin && tool.path.endsWith(".js")) {
+    lintSource(tool, fs.readFileSync(path.join(TOOLS_DIR, tool.path), "utf8"), report);
+  }
+  return findings;
+}
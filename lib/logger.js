@@ -0,0 +1,202 @@
+import { AsyncLocalStorage } from "async_hooks";
+import fs from "fs";
+import path from "path";
+import { loadConfig, PROJECT_ROOT } from "./config.js";
+
+/**
+ * Structured logging.
+ *
+ * Entries are JSON objects, one per line, written to stderr or appended to a
+ * file when their level is at or above the configured one. Configured by
+ * `logging` in mcp.config.json, with environment variables taking precedence:
+ *
+ *   {
+ *     "logging": {
+ *       "level": "info",              // LOG_LEVEL; "off" disables logging
+ *       "file": "logs/server.jsonl"   // LOG_FILE, relative to the project root; stderr when unset
+ *     }
+ *   }
+ *
+ * Levels are the syslog severities MCP uses for `notifications/message`.
+ * Entries logged while a request is handled carry the fields of its log
+ * context, such as its correlation ID, and are handed to the context's
+ * `notify` callback, which mcpServer.js uses to forward them to the client
+ * (see `withLogContext()`). API keys in URLs, and the credentials the
+ * context names as secrets, are masked before an entry leaves the process.
+ */
+
+export const LOG_LEVELS = [
+  "debug",
+  "info",
+  "notice",
+  "warning",
+  "error",
+  "critical",
+  "alert",
+  "emergency",
+];
+
+// Level that disables logging; also accepted by LOG_LEVEL
+export const LOG_OFF = "off";
+
+export const REDACTED = "[REDACTED]";
+
+// Query parameters that carry credentials, e.g. Google's `key=`
+const SECRET_PARAMS =
+  /([?&](?:key|api[_-]?key|access[_-]?token|token|client[_-]?secret|secret|password|signature|sig)=)[^&#\s"']+/gi;
+
+// Google API keys wherever they appear
+const GOOGLE_API_KEY = /AIza[0-9A-Za-z_-]{35}/g;
+
+const storage = new AsyncLocalStorage();
+
+const DEFAULT_LEVEL = "info";
+
+let levelOverride;
+let settings;
+
+/**
+ * Returns the configured logging settings.
+ * @returns {{ level: string, file: string|undefined }}
+ * @throws {Error} If the configured level is not one of `LOG_LEVELS`.
+ */
+export function logOptions() {
+  const { logging = {} } = loadConfig();
+  const level = process.env.LOG_LEVEL || logging.level || DEFAULT_LEVEL;
+  if (level !== LOG_OFF && !LOG_LEVELS.includes(level)) {
+    throw new Error(
+      `Invalid log level "${level}"; expected one of ${[...LOG_LEVELS, LOG_OFF].join(", ")}`
+    );
+  }
+  const file = process.env.LOG_FILE || logging.file;
+  return { level, file: file && path.resolve(PROJECT_ROOT, file) };
+}
+
+/**
+ * Sets the level regardless of LOG_LEVEL and the config file, e.g. for CLI
+ * commands, which report outcomes themselves.
+ * @param {string} level - One of `LOG_LEVELS`, or `LOG_OFF`.
+ */
+export function setLogLevel(level) {
+  levelOverride = level;
+  settings = undefined;
+}
+
+function currentSettings() {
+  if (settings) return settings;
+  try {
+    settings = logOptions();
+  } catch (error) {
+    if (!levelOverride) process.stderr.write(`[Warning] ${error.message}; using "${DEFAULT_LEVEL}"\n`);
+    settings = { level: DEFAULT_LEVEL, file: process.env.LOG_FILE || loadConfig().logging?.file };
+  }
+  if (levelOverride) settings.level = levelOverride;
+  if (settings.file) fs.mkdirSync(path.dirname(settings.file), { recursive: true });
+  return settings;
+}
+
+/**
+ * Returns the level in effect. An invalid configured level falls back to the
+ * default, with a warning, rather than failing the caller.
+ * @returns {string}
+ */
+export function logLevel() {
+  return currentSettings().level;
+}
+
+/**
+ * Tells whether entries of a level pass a threshold.
+ * @param {string} level
+ * @param {string} threshold - A level, or `LOG_OFF`, which no entry passes.
+ * @returns {boolean}
+ */
+export function isLevelEnabled(level, threshold) {
+  if (threshold === LOG_OFF) return false;
+  return LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(threshold);
+}
+
+/**
+ * Masks API keys in URL query parameters and the given secret values.
+ * @param {string} text
+ * @param {string[]} [secrets]
+ * @returns {string}
+ */
+export function redact(text, secrets = []) {
+  let result = String(text)
+    .replace(SECRET_PARAMS, `$1${REDACTED}`)
+    .replace(GOOGLE_API_KEY, REDACTED);
+  for (const secret of secrets) {
+    if (secret) result = result.split(secret).join(REDACTED);
+  }
+  return result;
+}
+
+/**
+ * Runs a function with a log context. Contexts nest: fields and secrets add
+ * to the enclosing context's, and `notify` replaces its callback.
+ * @param {Object} context
+ * @param {Object} [context.fields] - Added to every entry, e.g. `{ requestId }`.
+ * @param {string[]} [context.secrets] - Values masked in every entry.
+ * @param {(entry: Object) => void} [context.notify] - Receives every entry, whatever the level.
+ * @param {Function} fn
+ * @returns {*} What `fn` returns.
+ */
+export function withLogContext(context, fn) {
+  const parent = storage.getStore() || {};
+  return storage.run(
+    {
+      fields: { ...parent.fields, ...context.fields },
+      secrets: [...(parent.secrets || []), ...(context.secrets || [])],
+      notify: context.notify || parent.notify,
+    },
+    fn
+  );
+}
+
+/**
+ * Returns the fields and secrets of the current log context.
+ * @returns {{ fields: Object, secrets: string[] }}
+ */
+export function logContext() {
+  const { fields = {}, secrets = [] } = storage.getStore() || {};
+  return { fields, secrets };
+}
+
+function write(name, level, message, fields) {
+  const context = storage.getStore();
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    logger: name,
+    message,
+    ...context?.fields,
+    ...fields,
+  };
+  const line = redact(JSON.stringify(entry), context?.secrets);
+
+  const { level: threshold, file } = currentSettings();
+  if (isLevelEnabled(level, threshold)) {
+    if (file) {
+      fs.appendFileSync(file, `${line}\n`);
+    } else {
+      process.stderr.write(`${line}\n`);
+    }
+  }
+  context?.notify?.(JSON.parse(line));
+}
+
+/**
+ * Creates a logger with one method per level, each taking a message and
+ * optional fields: `log.warning("Retrying", { attempt: 2 })`. Pass error
+ * messages and codes as fields rather than error objects.
+ * @param {string} name - Component name, recorded as `logger`.
+ * @returns {Object<string, (message: string, fields?: Object) => void>}
+ */
+export function createLogger(name) {
+  return Object.fromEntries(
+    LOG_LEVELS.map((level) => [
+      level,
+      (message, fields = {}) => write(name, level, message, fields),
+    ])
+  );
+}
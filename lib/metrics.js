@@ -0,0 +1,202 @@
+import { getToolCache } from "./cache.js";
+
+/**
+ * Process-wide metrics in the Prometheus text exposition format.
+ *
+ * Tool calls are recorded by lib/pipeline.js and upstream responses by
+ * lib/http.js, so individual tools need no instrumentation. The HTTP
+ * transports register gauges for their open sessions and serve the result
+ * of `renderMetrics()` on `/metrics`.
+ */
+
+// Seconds; covers cache hits through slow paginated upstream calls
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return "";
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(",")}}`;
+}
+
+class Counter {
+  constructor(name, help) {
+    this.name = name;
+    this.help = help;
+    this.values = new Map();
+  }
+
+  inc(labels = {}, amount = 1) {
+    const key = JSON.stringify(labels);
+    const entry = this.values.get(key) || { labels, value: 0 };
+    entry.value += amount;
+    this.values.set(key, entry);
+  }
+
+  render() {
+    return [
+      `# HELP ${this.name} ${this.help}`,
+      `# TYPE ${this.name} counter`,
+      ...[...this.values.values()].map(
+        ({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`
+      ),
+    ];
+  }
+}
+
+class Histogram {
+  constructor(name, help, buckets) {
+    this.name = name;
+    this.help = help;
+    this.buckets = buckets;
+    this.values = new Map();
+  }
+
+  observe(labels, value) {
+    const key = JSON.stringify(labels);
+    const entry = this.values.get(key) || {
+      labels,
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0,
+    };
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) entry.counts[index]++;
+    });
+    entry.sum += value;
+    entry.count++;
+    this.values.set(key, entry);
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+    for (const { labels, counts, sum, count } of this.values.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+class Gauge {
+  /**
+   * @param {string} name
+   * @param {string} help
+   * @param {() => Array<{ labels?: Object, value: number }>} collect - Read at render time.
+   */
+  constructor(name, help, collect) {
+    this.name = name;
+    this.help = help;
+    this.collect = collect;
+  }
+
+  render() {
+    return [
+      `# HELP ${this.name} ${this.help}`,
+      `# TYPE ${this.name} gauge`,
+      ...this.collect().map(
+        ({ labels = {}, value }) => `${this.name}${formatLabels(labels)} ${value}`
+      ),
+    ];
+  }
+}
+
+const toolCalls = new Counter("mcp_tool_calls_total", "Tool calls, by tool.");
+const toolErrors = new Counter("mcp_tool_errors_total", "Failed tool calls, by tool and error code.");
+const toolLatency = new Histogram(
+  "mcp_tool_call_duration_seconds",
+  "Tool call duration in seconds, by tool.",
+  LATENCY_BUCKETS
+);
+const cacheLookups = new Counter(
+  "mcp_tool_cache_lookups_total",
+  "Cache lookups for cacheable tool calls, by tool and result (hit or miss)."
+);
+const upstreamResponses = new Counter(
+  "mcp_upstream_responses_total",
+  "Responses from upstream APIs, by tool and HTTP status."
+);
+
+const sessionSources = new Map();
+
+const sessions = new Gauge("mcp_active_sessions", "Open client sessions, by transport.", () =>
+  [...sessionSources].map(([transport, count]) => ({ labels: { transport }, value: count() }))
+);
+
+const cacheStat = (field) => {
+  const stats = getToolCache()?.stats();
+  return stats ? [{ value: stats[field] }] : [];
+};
+const cacheEntries = new Gauge("mcp_cache_entries", "Entries in the in-memory tool cache.", () =>
+  cacheStat("entries")
+);
+const cacheHitRatio = new Gauge(
+  "mcp_cache_hit_ratio",
+  "Share of tool cache lookups served from the cache since start.",
+  () => cacheStat("hitRatio")
+);
+
+/**
+ * Records a finished tool call.
+ * @param {string} tool - Tool name.
+ * @param {number} seconds - Duration.
+ * @param {string} [errorCode] - Error code when the call failed.
+ */
+export function recordToolCall(tool, seconds, errorCode) {
+  toolCalls.inc({ tool });
+  toolLatency.observe({ tool }, seconds);
+  if (errorCode) toolErrors.inc({ tool, code: errorCode });
+}
+
+/**
+ * Records a cache lookup for a tool call.
+ * @param {string} tool
+ * @param {boolean} hit
+ */
+export function recordCacheLookup(tool, hit) {
+  cacheLookups.inc({ tool, result: hit ? "hit" : "miss" });
+}
+
+/**
+ * Records the HTTP status of an upstream response.
+ * @param {string} [tool] - Tool that made the request, when known.
+ * @param {number} status
+ */
+export function recordUpstreamResponse(tool, status) {
+  upstreamResponses.inc({ tool: tool || "unknown", status });
+}
+
+/**
+ * Registers a count of open sessions for a transport.
+ * @param {string} transport - e.g. `sse`, `streamable-http`.
+ * @param {() => number} count - Read whenever metrics are rendered.
+ */
+export function registerSessionCount(transport, count) {
+  sessionSources.set(transport, count);
+}
+
+/**
+ * Renders every metric in the Prometheus text format.
+ * @returns {string}
+ */
+export function renderMetrics() {
+  return `${[
+    toolCalls,
+    toolErrors,
+    toolLatency,
+    cacheLookups,
+    upstreamResponses,
+    sessions,
+    cacheEntries,
+    cacheHitRatio,
+  ]
+    .flatMap((metric) => metric.render())
+    .join("\n")}\n`;
+}
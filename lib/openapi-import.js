@@ -0,0 +1,282 @@
+import { toEnvName, toIdentifier, toKebabCase, toSnakeCase } from "./codegen.js";
+
+/**
+ * Converts an OpenAPI 3.x document into operations for `renderToolModule`
+ * (see lib/codegen.js), one per path operation.
+ */
+
+const METHODS = ["get", "put", "post", "delete", "options", "head", "patch"];
+const MAX_REF_DEPTH = 8;
+
+function lookupRef(spec, ref) {
+  if (!ref.startsWith("#/")) {
+    throw new Error(`Only local $refs are supported, got ${ref}`);
+  }
+  return ref
+    .slice(2)
+    .split("/")
+    .map((part) => part.replace(/~1/g, "/").replace(/~0/g, "~"))
+    .reduce((node, part) => node?.[part], spec);
+}
+
+/**
+ * Returns a copy of `node` with local `$ref`s inlined. Recursive references
+ * are cut off and left as an unconstrained schema.
+ */
+function dereference(spec, node, seen = [], depth = 0) {
+  if (Array.isArray(node)) return node.map((item) => dereference(spec, item, seen, depth));
+  if (!node || typeof node !== "object") return node;
+  if (node.$ref) {
+    if (seen.includes(node.$ref) || depth > MAX_REF_DEPTH) return {};
+    return dereference(spec, lookupRef(spec, node.$ref), [...seen, node.$ref], depth + 1);
+  }
+  const result = {};
+  for (const [key, value] of Object.entries(node)) {
+    result[key] = dereference(spec, value, seen, depth);
+  }
+  return result;
+}
+
+/**
+ * Converts an OpenAPI 3.0 schema to the JSON Schema dialect used by tool
+ * definitions: `nullable` becomes a `null` type, `example` becomes `examples`
+ * and OpenAPI-only annotations are dropped.
+ */
+function toJsonSchema(schema) {
+  if (Array.isArray(schema)) return schema.map(toJsonSchema);
+  if (!schema || typeof schema !== "object") return schema;
+
+  const { nullable, example, readOnly, writeOnly, xml, externalDocs, discriminator, deprecated, ...rest } =
+    schema;
+  const result = {};
+  for (const [key, value] of Object.entries(rest)) {
+    if (key.startsWith("x-")) continue;
+    result[key] =
+      key === "properties"
+        ? Object.fromEntries(Object.entries(value).map(([k, v]) => [k, toJsonSchema(v)]))
+        : toJsonSchema(value);
+  }
+  if (nullable && result.type && !Array.isArray(result.type)) {
+    result.type = [result.type, "null"];
+  }
+  if (example !== undefined && result.examples === undefined) {
+    result.examples = [example];
+  }
+  return result;
+}
+
+function serverUrl(spec, baseUrlOverride) {
+  if (baseUrlOverride) return baseUrlOverride;
+  const server = spec.servers?.[0];
+  if (!server?.url) return undefined;
+  return server.url.replace(/\{([^}]+)\}/g, (match, name) =>
+    server.variables?.[name]?.default ?? match
+  );
+}
+
+/**
+ * Names the env var for one credential of a scheme. With several schemes
+ * each gets its own, named after the scheme (e.g. `ACME_BEARER_AUTH`), so
+ * they do not read the same variable; a lone scheme keeps the plain
+ * `<PREFIX>_API_KEY`, `<PREFIX>_USERNAME` and `<PREFIX>_PASSWORD`.
+ */
+function credentialEnv(schemes, schemeName, envPrefix, part) {
+  if (Object.keys(schemes).length <= 1) return `${envPrefix}_${part || "API_KEY"}`;
+  return [envPrefix, toEnvName(schemeName), part].filter(Boolean).join("_");
+}
+
+function convertSecurity(spec, operation, envPrefix, warnings, context) {
+  const requirements = operation.security ?? spec.security ?? [];
+  const schemes = spec.components?.securitySchemes || {};
+
+  for (const requirement of requirements) {
+    for (const name of Object.keys(requirement)) {
+      const scheme = dereference(spec, schemes[name]);
+      if (!scheme) continue;
+      const env = (part) => credentialEnv(schemes, name, envPrefix, part);
+      if (scheme.type === "apiKey" && (scheme.in === "query" || scheme.in === "header")) {
+        return { type: "apiKey", in: scheme.in, name: scheme.name, env: env() };
+      }
+      if (scheme.type === "http" && scheme.scheme?.toLowerCase() === "basic") {
+        return {
+          type: "basic",
+          usernameEnv: env("USERNAME"),
+          passwordEnv: env("PASSWORD"),
+        };
+      }
+      if (
+        (scheme.type === "http" && scheme.scheme?.toLowerCase() === "bearer") ||
+        scheme.type === "oauth2" ||
+        scheme.type === "openIdConnect"
+      ) {
+        return { type: "bearer", env: env() };
+      }
+      warnings.push(`${context}: unsupported security scheme "${name}" (${scheme.type})`);
+    }
+  }
+  return null;
+}
+
+function responseSchema(spec, operation) {
+  const responses = operation.responses || {};
+  const key = ["200", "201", "202", "2XX", "default"].find((code) => responses[code]);
+  const response = key && dereference(spec, responses[key]);
+  const content = response?.content || {};
+  const mediaType = Object.keys(content).find((type) => /json/.test(type));
+  const schema = mediaType && toJsonSchema(dereference(spec, content[mediaType].schema));
+  return schema?.type === "object" ? schema : undefined;
+}
+
+function addParam(params, param, warnings, context) {
+  const name = toIdentifier(param.apiName);
+  if (params.some((existing) => existing.name === name)) {
+    warnings.push(`${context}: duplicate parameter name "${name}" skipped`);
+    return;
+  }
+  params.push({ ...param, name });
+}
+
+function convertOperation(spec, pathKey, method, pathItem, operation, options, warnings) {
+  const context = `${method.toUpperCase()} ${pathKey}`;
+  const params = [];
+
+  // Operation-level parameters override path-level ones with the same name and location
+  const merged = new Map();
+  for (const parameter of [...(pathItem.parameters || []), ...(operation.parameters || [])]) {
+    const resolved = dereference(spec, parameter);
+    merged.set(`${resolved.in}:${resolved.name}`, resolved);
+  }
+  for (const parameter of merged.values()) {
+    if (parameter.in === "cookie") {
+      warnings.push(`${context}: cookie parameter "${parameter.name}" is not supported, skipped`);
+      continue;
+    }
+    addParam(
+      params,
+      {
+        apiName: parameter.name,
+        in: parameter.in,
+        schema: toJsonSchema(parameter.schema || { type: "string" }),
+        description: parameter.description || "",
+        required: parameter.in === "path" || Boolean(parameter.required),
+      },
+      warnings,
+      context
+    );
+  }
+
+  let bodyMode;
+  const requestBody = operation.requestBody && dereference(spec, operation.requestBody);
+  if (requestBody?.content) {
+    const types = Object.keys(requestBody.content);
+    const jsonType = types.find((type) => /json/.test(type));
+    const formType = types.find((type) => type === "application/x-www-form-urlencoded");
+    const mediaType = jsonType || formType;
+    const schema = mediaType && toJsonSchema(requestBody.content[mediaType].schema || {});
+
+    if (schema?.type === "object" || schema?.properties) {
+      bodyMode = jsonType ? "json" : "urlencoded";
+      const required = new Set(requestBody.required === false ? [] : schema.required || []);
+      for (const [name, propertySchema] of Object.entries(schema.properties || {})) {
+        const { description = "", ...rest } = propertySchema;
+        addParam(
+          params,
+          { apiName: name, in: "body", schema: rest, description, required: required.has(name) },
+          warnings,
+          context
+        );
+      }
+    } else {
+      warnings.push(`${context}: only object request bodies (${types.join(", ")}) are supported, body skipped`);
+    }
+  }
+
+  const name = toSnakeCase(operation.operationId || `${method} ${pathKey.replace(/[{}]/g, "")}`);
+  const description = [operation.summary, operation.description]
+    .filter(Boolean)
+    .map((text) => text.trim().replace(/([^.!?])$/, "$1."))
+    .join(" ");
+
+  return {
+    name,
+    description: description || `Call ${context}.`,
+    method: method.toUpperCase(),
+    baseUrl: options.baseUrl,
+    path: `${options.pathPrefix}${pathKey}`,
+    params,
+    bodyMode,
+    headers: {},
+    auth: convertSecurity(spec, operation, options.envPrefix, warnings, context),
+    outputSchema: responseSchema(spec, operation),
+    googleStatus: /(^|\.)googleapis\.com$/.test(new URL(options.baseUrl).hostname),
+    tag: operation.tags?.[0],
+  };
+}
+
+/**
+ * Converts an OpenAPI 3.x document into generator operations grouped into
+ * collections by their first tag.
+ *
+ * @param {Object} spec - Parsed OpenAPI document.
+ * @param {Object} [options]
+ * @param {string} [options.workspace] - Workspace directory name; defaults to the API title.
+ * @param {string[]} [options.tags] - Only emit operations carrying one of these tags.
+ * @param {string[]} [options.excludeTags] - Skip operations carrying any of these tags.
+ * @param {string} [options.baseUrl] - Server URL, overriding `servers[0]`.
+ * @param {string} [options.envPrefix] - Prefix for credential env vars; defaults from the workspace.
+ * @returns {{ workspace: string, operations: Array, warnings: string[] }}
+ *   Each operation carries a `collection` directory name.
+ */
+export function importOpenApi(spec, options = {}) {
+  if (!spec?.openapi || !String(spec.openapi).startsWith("3.")) {
+    throw new Error(
+      `Unsupported document: expected OpenAPI 3.x, got ${spec?.openapi || spec?.swagger || "unknown"}`
+    );
+  }
+
+  const title = spec.info?.title || "api";
+  const workspace = toKebabCase(options.workspace || title);
+  const envPrefix = options.envPrefix || toEnvName(workspace);
+  const server = serverUrl(spec, options.baseUrl);
+  if (!server || !/^https?:\/\//.test(server)) {
+    throw new Error(
+      `The document has no absolute server URL${server ? ` (got "${server}")` : ""}; pass --base-url`
+    );
+  }
+  const parsedServer = new URL(server);
+  const baseUrl = parsedServer.origin;
+  const pathPrefix = parsedServer.pathname.replace(/\/$/, "");
+
+  const includeTags = options.tags?.length ? new Set(options.tags) : null;
+  const excludeTags = new Set(options.excludeTags || []);
+  const warnings = [];
+  const operations = [];
+
+  for (const [pathKey, rawPathItem] of Object.entries(spec.paths || {})) {
+    const pathItem = dereference(spec, rawPathItem);
+    for (const method of METHODS) {
+      const operation = pathItem[method];
+      if (!operation) continue;
+
+      const tags = operation.tags || [];
+      if (includeTags && !tags.some((tag) => includeTags.has(tag))) continue;
+      if (tags.some((tag) => excludeTags.has(tag))) continue;
+
+      const converted = convertOperation(
+        spec,
+        pathKey,
+        method,
+        pathItem,
+        operation,
+        { baseUrl, pathPrefix, envPrefix },
+        warnings
+      );
+      operations.push({
+        ...converted,
+        collection: toKebabCase(converted.tag || title),
+      });
+    }
+  }
+
+  return { workspace, operations, warnings };
+}
@@ -0,0 +1,126 @@
+import { ErrorCodes, toToolError } from "./errors.js";
+
+/**
+ * Automatic pagination for tools that declare a `pagination` config:
+ *
+ *   pagination: {
+ *     tokenParam: 'pageToken',          // argument carrying the page token
+ *     nextTokenField: 'nextPageToken',  // response field holding the next token
+ *     itemsField: 'forecastHours',      // response array merged across pages
+ *     defaultMaxPages: 5,               // used when maxPages is not given
+ *     maxPagesLimit: 20,                // highest maxPages a caller may ask for
+ *     tokenDelayMs: 0                   // wait before a new token becomes valid
+ *   }
+ *
+ * Callers opt in per call with the `fetchAll` and `maxPages` arguments.
+ * `maxPages` may exceed the default up to `maxPagesLimit`, which is never
+ * lower than the default.
+ */
+
+// Arguments consumed by the pipeline rather than the tool
+export const PAGINATION_PARAMS = ["fetchAll", "maxPages"];
+
+const DEFAULT_MAX_PAGES = 5;
+const DEFAULT_MAX_PAGES_LIMIT = 20;
+
+// Google Places rejects a next_page_token with INVALID_REQUEST until it becomes valid
+const TOKEN_NOT_READY_RETRIES = 3;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Resolves the page counts of a pagination config.
+ * @param {Object} pagination
+ * @returns {{ defaultMaxPages: number, maxPagesLimit: number }}
+ */
+export function pageLimits(pagination) {
+  const defaultMaxPages = pagination.defaultMaxPages ?? DEFAULT_MAX_PAGES;
+  const maxPagesLimit = Math.max(
+    pagination.maxPagesLimit ?? DEFAULT_MAX_PAGES_LIMIT,
+    defaultMaxPages
+  );
+  return { defaultMaxPages, maxPagesLimit };
+}
+
+/**
+ * Splits the pagination control arguments off the tool's own arguments.
+ * @param {Object} args
+ * @returns {{ fetchAll: boolean, maxPages: number|undefined, toolArgs: Object }}
+ */
+export function extractPaginationArgs(args) {
+  const { fetchAll = false, maxPages, ...toolArgs } = args;
+  return { fetchAll, maxPages, toolArgs };
+}
+
+async function fetchPage(tool, args, context, attemptDelayMs) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await tool.function(args, context);
+    } catch (error) {
+      const toolError = toToolError(error);
+      if (
+        toolError.code !== ErrorCodes.INVALID_REQUEST ||
+        !attemptDelayMs ||
+        attempt >= TOKEN_NOT_READY_RETRIES
+      ) {
+        throw toolError;
+      }
+      await sleep(attemptDelayMs);
+    }
+  }
+}
+
+/**
+ * Executes a paged tool, following next-page tokens and merging the pages.
+ *
+ * The merged result is the first page with `itemsField` holding the items of
+ * all fetched pages and a `pagination` summary. When `maxPages` stops the
+ * loop early, `truncated` is true and the next token is kept so the caller can
+ * resume. A failure on a later page also returns the pages fetched so far.
+ *
+ * @param {Object} tool - A tool with a `pagination` config.
+ * @param {Object} args - The tool's arguments, without `fetchAll`/`maxPages`.
+ * @param {number} [maxPages] - Upper bound on the number of pages to fetch,
+ *   capped at the config's `maxPagesLimit`.
+ * @param {Object} [context] - Call context passed on to the tool.
+ * @returns {Promise<Object>} The merged result.
+ */
+export async function fetchAllPages(tool, args, maxPages, context) {
+  const { tokenParam, nextTokenField, itemsField, tokenDelayMs = 0 } = tool.pagination;
+  const { defaultMaxPages, maxPagesLimit } = pageLimits(tool.pagination);
+  const limit = Math.min(maxPages ?? defaultMaxPages, maxPagesLimit);
+
+  const first = await tool.function(args, context);
+  const items = [...(first[itemsField] || [])];
+  let nextToken = first[nextTokenField];
+  let pagesFetched = 1;
+  let error;
+
+  while (nextToken && pagesFetched < limit) {
+    if (tokenDelayMs) await sleep(tokenDelayMs);
+    try {
+      const page = await fetchPage(
+        tool,
+        { ...args, [tokenParam]: nextToken },
+        context,
+        tokenDelayMs
+      );
+      items.push(...(page[itemsField] || []));
+      nextToken = page[nextTokenField];
+      pagesFetched++;
+    } catch (pageError) {
+      error = toToolError(pageError);
+      break;
+    }
+  }
+
+  const merged = { ...first, [itemsField]: items };
+  delete merged[nextTokenField];
+  if (nextToken) merged[nextTokenField] = nextToken;
+  merged.pagination = {
+    pagesFetched,
+    truncated: Boolean(nextToken),
+    ...(error && { error: error.toJSON() }),
+  };
+  return merged;
+}
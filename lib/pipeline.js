@@ -0,0 +1,103 @@
+import { ErrorCode, McpError } from "@modelcontextprotocol/sdk/types.js";
+import { cacheKey, getToolCache, ttlForTool } from "./cache.js";
+import { credentialScope } from "./credentials.js";
+import { toErrorResult, toToolError } from "./errors.js";
+import { createLogger } from "./logger.js";
+import { recordCacheLookup, recordToolCall } from "./metrics.js";
+import { extractPaginationArgs, fetchAllPages } from "./pagination.js";
+import { toCallToolResult } from "./results.js";
+import { formatValidationErrors, validateArguments } from "./validation.js";
+
+// Error code recorded for calls rejected before they reach the tool
+export const INVALID_ARGUMENTS = "INVALID_ARGUMENTS";
+
+const log = createLogger("pipeline");
+
+async function executeCall(tool, toolName, rawArgs, context) {
+  const validation = validateArguments(
+    tool.definition?.function?.parameters,
+    rawArgs
+  );
+  if (!validation.valid) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `Invalid arguments for tool ${toolName}: ${formatValidationErrors(
+        validation.errors
+      )}`,
+      { errors: validation.errors }
+    );
+  }
+  const args = validation.value;
+
+  const cache = getToolCache();
+  const ttl = cache ? ttlForTool(tool) : 0;
+  const key = ttl > 0 ? cacheKey(toolName, args, credentialScope(context)) : null;
+  if (key) {
+    const cached = cache.get(key);
+    recordCacheLookup(toolName, cached !== undefined);
+    if (cached !== undefined) return toCallToolResult(tool, cached);
+  }
+
+  const { fetchAll, maxPages, toolArgs } = tool.pagination
+    ? extractPaginationArgs(args)
+    : { toolArgs: args };
+  const result = fetchAll
+    ? await fetchAllPages(tool, toolArgs, maxPages, context)
+    : await tool.function(toolArgs, context);
+  if (key) cache.set(key, result, ttl, { tool: toolName });
+  return toCallToolResult(tool, result);
+}
+
+/**
+ * Runs a single tool call: validates the arguments, serves the result from
+ * the cache when possible, executes the tool (following page tokens when the
+ * caller asks for `fetchAll`) and shapes the outcome as an MCP
+ * `CallToolResult`. Every entry point that executes tools goes through here,
+ * which is also where calls are recorded for lib/metrics.js and their start,
+ * finish or failure is logged (see lib/logger.js).
+ *
+ * @param {Object} tool - The tool object as returned by `discoverTools()`.
+ * @param {Object} [rawArgs] - Arguments as received from the caller.
+ * @param {Object} [context] - Call context handed to the tool, e.g. per-session
+ *   credentials (see lib/credentials.js). Local callers can omit it.
+ * @returns {Promise<Object>} The `CallToolResult` payload.
+ * @throws {McpError} `InvalidParams` when the arguments do not match the schema.
+ */
+export async function callTool(tool, rawArgs, context = {}) {
+  const toolName = tool.definition.function.name;
+  const started = performance.now();
+  const elapsedMs = () => Math.round(performance.now() - started);
+  let errorCode;
+  log.info("Tool call started", { tool: toolName });
+  try {
+    const result = await executeCall(tool, toolName, rawArgs, context);
+    log.info("Tool call finished", { tool: toolName, durationMs: elapsedMs() });
+    return result;
+  } catch (error) {
+    if (error instanceof McpError) {
+      errorCode = INVALID_ARGUMENTS;
+      log.warning("Tool call rejected", { tool: toolName, code: errorCode, error: error.message });
+      throw error;
+    }
+    errorCode = toToolError(error).code;
+    log.error("Tool call failed", {
+      tool: toolName,
+      durationMs: elapsedMs(),
+      code: errorCode,
+      error: error.message,
+    });
+    return toErrorResult(error);
+  } finally {
+    recordToolCall(toolName, (performance.now() - started) / 1000, errorCode);
+  }
+}
+
+/**
+ * Looks up a tool by its (de-duplicated) name.
+ * @param {Array} tools - Tools as returned by `discoverTools()`.
+ * @param {string} name
+ * @returns {Object|undefined}
+ */
+export function findTool(tools, name) {
+  return tools.find((t) => t.definition?.function?.name === name);
+}
@@ -0,0 +1,244 @@
+import path from "path";
+import { toolLocation } from "./tools.js";
+
+/**
+ * Builds a Postman Collection v2.1 and a matching environment from loaded
+ * tools, the reverse of lib/postman-import.js.
+ *
+ * Requests are built from each tool's static `request` descriptor, which
+ * declarative tools (lib/declarative.js) and generated modules
+ * (lib/codegen.js) both carry:
+ *
+ *   request: {
+ *     method: 'GET',
+ *     url: 'https://maps.googleapis.com/maps/api/timezone/json',  // `{param}` marks path parameters
+ *     headers: { ... },
+ *     bodyMode: 'json'|'urlencoded',
+ *     auth: { ... },                     // as in lib/codegen.js
+ *     params: [{ name, apiName, in, required }]
+ *   }
+ *
+ * Hand-written modules without one are skipped. Parameters are exported with
+ * their default as value, or a `<type>` placeholder that the importer reads
+ * back as the parameter type; optional ones without a default are disabled,
+ * and required ones have descriptions starting with "(Required)".
+ * Credentials become `{{ENV_VAR}}` variables with empty environment values.
+ *
+ * Each request also carries a `mcpTool` item variable holding what Postman
+ * cannot express: the tool's directory and file name, and its parameters'
+ * names and schemas. lib/postman-import.js reads it back, so an exported catalogue
+ * re-imports to the same files and arguments.
+ */
+
+const SCHEMA_URL = "https://schema.getpostman.com/json/collection/v2.1.0/collection.json";
+
+/** Item variable with the tool's location and parameter schemas. */
+export const TOOL_VARIABLE = "mcpTool";
+
+function placeholder(schema) {
+  const type = [].concat(schema?.type || "string").find((t) => t !== "null") || "string";
+  return `<${type}>`;
+}
+
+function exampleValue(schema) {
+  if (schema?.default !== undefined) return schema.default;
+  if (schema?.enum?.length) return schema.enum[0];
+  return placeholder(schema);
+}
+
+function paramValue(schema) {
+  const value = exampleValue(schema);
+  return typeof value === "string" ? value : JSON.stringify(value);
+}
+
+function credentialVariables(auth) {
+  if (!auth) return [];
+  return auth.type === "basic" ? [auth.usernameEnv, auth.passwordEnv] : [auth.env];
+}
+
+function postmanAuth(auth) {
+  if (auth?.type === "bearer") {
+    return { type: "bearer", bearer: [{ key: "token", value: `{{${auth.env}}}`, type: "string" }] };
+  }
+  if (auth?.type === "basic") {
+    return {
+      type: "basic",
+      basic: [
+        { key: "username", value: `{{${auth.usernameEnv}}}`, type: "string" },
+        { key: "password", value: `{{${auth.passwordEnv}}}`, type: "string" },
+      ],
+    };
+  }
+  return undefined;
+}
+
+function toolVariable(tool, properties) {
+  const parts = tool.plugin ? [] : tool.path.split("/");
+  // Modules outside a workspace/collection directory have no location to keep
+  const location =
+    tool.plugin || parts.length > 2 ? { ...toolLocation(tool), folder: parts.slice(2, -1) } : {};
+  const file = path.basename(tool.path, path.extname(tool.path));
+  const params = tool.request.params.map((param) => {
+    const { description, ...schema } = properties[param.name] || {};
+    return { name: param.name, apiName: param.apiName, in: param.in, schema };
+  });
+  return {
+    key: TOOL_VARIABLE,
+    value: JSON.stringify({ ...location, file, params }),
+    type: "string",
+  };
+}
+
+function toPostmanRequest(tool) {
+  const { name, description, parameters } = tool.definition.function;
+  const { request } = tool;
+  const properties = parameters?.properties || {};
+  // Postman marks required params with a "(Required)" prefix, as lib/postman-import.js expects
+  const describe = (param) => {
+    const text = properties[param.name]?.description || "";
+    return param.required ? `(Required) ${text}`.trim() : text;
+  };
+
+  const pathParams = request.params.filter((param) => param.in === "path");
+  const url = new URL(
+    request.url.replace(/\{([^}]+)\}/g, (match, apiName) => `:${apiName}`)
+  );
+  const query = request.params
+    .filter((param) => param.in === "query")
+    .map((param) => ({
+      key: param.apiName,
+      value: paramValue(properties[param.name]),
+      description: describe(param),
+      ...(!param.required && properties[param.name]?.default === undefined && { disabled: true }),
+    }));
+  const header = [
+    ...Object.entries(request.headers || {}).map(([key, value]) => ({ key, value })),
+    ...request.params
+      .filter((param) => param.in === "header")
+      .map((param) => ({
+        key: param.apiName,
+        value: paramValue(properties[param.name]),
+        description: describe(param),
+      })),
+  ];
+
+  const { auth } = request;
+  if (auth?.type === "apiKey" && auth.in === "query") {
+    query.push({ key: auth.name, value: `{{${auth.env}}}` });
+  } else if (auth?.type === "apiKey") {
+    header.push({ key: auth.name, value: `{{${auth.env}}}` });
+  }
+
+  const bodyParams = request.params.filter((param) => param.in === "body");
+  let body;
+  if (bodyParams.length && request.bodyMode === "urlencoded") {
+    body = {
+      mode: "urlencoded",
+      urlencoded: bodyParams.map((param) => ({
+        key: param.apiName,
+        value: paramValue(properties[param.name]),
+        description: describe(param),
+      })),
+    };
+  } else if (bodyParams.length) {
+    const example = Object.fromEntries(
+      bodyParams.map((param) => [param.apiName, exampleValue(properties[param.name])])
+    );
+    body = {
+      mode: "raw",
+      raw: JSON.stringify(example, null, 2),
+      options: { raw: { language: "json" } },
+    };
+    header.push({ key: "Content-Type", value: "application/json" });
+  }
+
+  const rawQuery = query
+    .filter((item) => !item.disabled)
+    .map((item) => `${item.key}=${item.value}`)
+    .join("&");
+
+  return {
+    name,
+    variable: [toolVariable(tool, properties)],
+    request: {
+      method: request.method,
+      header,
+      ...(postmanAuth(auth) && { auth: postmanAuth(auth) }),
+      ...(body && { body }),
+      url: {
+        raw: `${url.origin}${decodeURI(url.pathname)}${rawQuery ? `?${rawQuery}` : ""}`,
+        protocol: url.protocol.replace(":", ""),
+        host: url.hostname.split("."),
+        ...(url.port && { port: url.port }),
+        path: decodeURI(url.pathname).split("/").filter(Boolean),
+        query,
+        ...(pathParams.length && {
+          variable: pathParams.map((param) => ({
+            key: param.apiName,
+            value: paramValue(properties[param.name]),
+            description: describe(param),
+          })),
+        }),
+      },
+      description: description || "",
+    },
+    response: [],
+  };
+}
+
+/**
+ * Converts tools into a Postman collection and environment.
+ *
+ * @param {Array} tools - Tools as returned by `discoverTools()`.
+ * @param {Object} [options]
+ * @param {string} [options.name] - Collection and environment name.
+ * @returns {{ collection: Object, environment: Object, skipped: string[] }}
+ *   `skipped` lists tools without a `request` descriptor.
+ */
+export function exportPostmanCollection(tools, options = {}) {
+  const name = options.name || "MCP tools";
+  const skipped = [];
+  const workspaces = new Map();
+  const variables = new Set();
+
+  for (const tool of tools) {
+    if (!tool.request?.url) {
+      skipped.push(tool.definition.function.name);
+      continue;
+    }
+    const { workspace, collection } = toolLocation(tool);
+    if (!workspaces.has(workspace)) workspaces.set(workspace, new Map());
+    const collections = workspaces.get(workspace);
+    if (!collections.has(collection)) collections.set(collection, []);
+    collections.get(collection).push(toPostmanRequest(tool));
+    credentialVariables(tool.request.auth).forEach((variable) => variables.add(variable));
+  }
+
+  const collection = {
+    info: {
+      name,
+      description: "Exported from the MCP server tool catalogue.",
+      schema: SCHEMA_URL,
+    },
+    item: [...workspaces].map(([workspace, collections]) => ({
+      name: workspace,
+      item: [...collections].map(([collectionName, items]) => ({
+        name: collectionName,
+        item: items,
+      })),
+    })),
+  };
+
+  const environment = {
+    name,
+    values: [...variables].sort().map((key) => ({
+      key,
+      value: "",
+      type: "secret",
+      enabled: true,
+    })),
+    _postman_variable_scope: "environment",
+  };
+
+  return { collection, environment, skipped };
+}
@@ -0,0 +1,452 @@
+import { inferSchema, toEnvName, toIdentifier, toKebabCase, toSnakeCase } from "./codegen.js";
+import { TOOL_VARIABLE } from "./postman-export.js";
+
+/**
+ * Converts a Postman Collection v2.1 export into operations for
+ * `renderToolModule` (see lib/codegen.js). Runs fully offline: variables are
+ * resolved from the collection and an optional environment export only.
+ *
+ * Requests exported by lib/postman-export.js keep their tool's directory,
+ * file name, parameter names and schemas from the `mcpTool` item variable instead of
+ * what can be inferred from the Postman request.
+ */
+
+const VARIABLE = /\{\{\s*([^}]+?)\s*\}\}/g;
+const HAS_VARIABLE = /\{\{[^}]+\}\}/;
+const WHOLE_VARIABLE = /^\{\{\s*([^}]+?)\s*\}\}$/;
+const SECRET_NAME = /(key|token|secret|password|auth)/i;
+const API_KEY_PARAM = /^(key|api[-_]?key|apikey|access[-_]?token)$/i;
+// Type placeholders such as `<integer>` left by collections generated from OpenAPI
+const PLACEHOLDER = /^<(\w+)>$/;
+const SKIPPED_HEADERS = new Set(["accept", "content-type", "content-length", "host"]);
+
+function describe(description) {
+  if (!description) return "";
+  return typeof description === "string" ? description : description.content || "";
+}
+
+function isRequired(description) {
+  return /\(required\)|^\s*required\b/i.test(describe(description));
+}
+
+function stripRequiredMarker(description) {
+  return describe(description).replace(/^\s*\(required\)\s*/i, "");
+}
+
+/**
+ * Infers a parameter schema from a literal Postman value.
+ */
+function schemaForLiteral(value) {
+  const placeholder = value.match(PLACEHOLDER)?.[1].toLowerCase();
+  if (placeholder === "integer" || placeholder === "long") return { type: "integer" };
+  if (placeholder === "number" || placeholder === "double" || placeholder === "float") {
+    return { type: "number" };
+  }
+  if (placeholder === "boolean") return { type: "boolean" };
+  if (placeholder) return { type: "string" };
+  if (value === "true" || value === "false") return { type: "boolean" };
+  if (/^-?\d+$/.test(value)) return { type: "integer" };
+  if (/^-?\d*\.\d+$/.test(value)) return { type: "number" };
+  return { type: "string" };
+}
+
+function literalValue(value, schema) {
+  if (schema.type === "boolean") return value === "true";
+  if (schema.type === "integer" || schema.type === "number") return Number(value);
+  return value;
+}
+
+class VariableResolver {
+  constructor(collection, environment) {
+    this.values = new Map();
+    this.secrets = new Set();
+    for (const variable of collection.variable || []) {
+      if (variable.disabled) continue;
+      this.values.set(variable.key, variable.value);
+      if (variable.type === "secret") this.secrets.add(variable.key);
+    }
+    for (const variable of environment?.values || []) {
+      if (variable.enabled === false) continue;
+      this.values.set(variable.key, variable.value);
+      if (variable.type === "secret") this.secrets.add(variable.key);
+    }
+  }
+
+  isSecret(name) {
+    return this.secrets.has(name) || SECRET_NAME.test(name);
+  }
+
+  /**
+   * Substitutes known, non-secret variables; unknown ones are left in place.
+   */
+  resolve(text) {
+    return String(text ?? "").replace(VARIABLE, (match, name) =>
+      this.values.has(name) && !this.isSecret(name) ? String(this.values.get(name)) : match
+    );
+  }
+
+  /**
+   * Returns the variable name if the whole value is a single `{{variable}}`.
+   */
+  variableName(text) {
+    return String(text ?? "").trim().match(WHOLE_VARIABLE)?.[1];
+  }
+}
+
+/**
+ * Picks the env var a credential is read from: the variable the collection
+ * itself uses when the value is exactly one `{{VAR}}`, so existing `.env`
+ * files keep working, otherwise `fallback`.
+ */
+function credentialEnv(value, fallback) {
+  const name = String(value ?? "").trim().match(WHOLE_VARIABLE)?.[1];
+  if (!name) return fallback;
+  return /^[A-Z_][A-Z0-9_]*$/.test(name) ? name : toEnvName(name);
+}
+
+function authEntries(auth) {
+  const entries = auth[auth.type];
+  if (Array.isArray(entries)) {
+    return Object.fromEntries(entries.map((entry) => [entry.key, entry.value]));
+  }
+  return entries || {};
+}
+
+/**
+ * Maps a Postman auth object to the generator's auth description.
+ */
+function convertAuth(auth, envPrefix, warnings, context) {
+  if (!auth || auth.type === "noauth") return null;
+  const entries = authEntries(auth);
+
+  switch (auth.type) {
+    case "apikey":
+      return {
+        type: "apiKey",
+        in: entries.in === "header" ? "header" : "query",
+        name: entries.key || "key",
+        env: credentialEnv(entries.value, `${envPrefix}_API_KEY`),
+      };
+    case "bearer":
+      return { type: "bearer", env: credentialEnv(entries.token, `${envPrefix}_API_KEY`) };
+    case "oauth2":
+      return { type: "bearer", env: credentialEnv(entries.accessToken, `${envPrefix}_API_KEY`) };
+    case "basic":
+      return {
+        type: "basic",
+        usernameEnv: credentialEnv(entries.username, `${envPrefix}_USERNAME`),
+        passwordEnv: credentialEnv(entries.password, `${envPrefix}_PASSWORD`),
+      };
+    default:
+      warnings.push(`${context}: unsupported auth type "${auth.type}", generated without auth`);
+      return null;
+  }
+}
+
+function splitUrl(url) {
+  if (typeof url === "string") {
+    const [base, search = ""] = url.split("?");
+    const match = base.match(/^(?:(\w+):\/\/)?([^/]*)(\/.*)?$/);
+    return {
+      protocol: match?.[1],
+      host: match?.[2] || "",
+      path: (match?.[3] || "").split("/").filter(Boolean),
+      query: search
+        .split("&")
+        .filter(Boolean)
+        .map((pair) => {
+          const [key, value = ""] = pair.split("=");
+          return { key: decodeURIComponent(key), value: decodeURIComponent(value) };
+        }),
+      variable: [],
+    };
+  }
+  return {
+    protocol: url.protocol,
+    host: Array.isArray(url.host) ? url.host.join(".") : url.host || "",
+    port: url.port,
+    path: Array.isArray(url.path) ? url.path : String(url.path || "").split("/").filter(Boolean),
+    query: url.query || [],
+    variable: url.variable || [],
+  };
+}
+
+function addParam(params, param) {
+  const name = toIdentifier(param.apiName);
+  if (params.some((existing) => existing.name === name)) return;
+  params.push({ ...param, name });
+}
+
+/**
+ * Reads the tool description lib/postman-export.js stores on each request.
+ */
+function exportedTool(item, warnings, context) {
+  const variable = (item.variable || []).find((v) => v.key === TOOL_VARIABLE);
+  if (!variable) return undefined;
+  try {
+    return JSON.parse(variable.value);
+  } catch {
+    warnings.push(`${context}: unreadable ${TOOL_VARIABLE} variable ignored`);
+    return undefined;
+  }
+}
+
+/**
+ * Gives params the names and schemas they had before the export, where
+ * the exported name is usable as an identifier in the generated module.
+ */
+function restoreParams(params, exportedParams = []) {
+  for (const param of params) {
+    const original = exportedParams.find(
+      (candidate) => candidate.in === param.in && candidate.apiName === param.apiName
+    );
+    if (!original) continue;
+    if (original.name && toIdentifier(original.name) === original.name) param.name = original.name;
+    if (original.schema) param.schema = original.schema;
+  }
+}
+
+/**
+ * Converts one Postman request item into an operation.
+ */
+function convertRequest(item, inheritedAuth, resolver, options, warnings, folder) {
+  const { request } = item;
+  const context = `"${item.name}"`;
+  const url = splitUrl(request.url || "");
+  const params = [];
+  let auth =
+    request.auth === undefined || request.auth?.type === "inherit"
+      ? inheritedAuth
+      : convertAuth(request.auth, options.envPrefix, warnings, context);
+
+  const host = resolver.resolve(url.host);
+  if (HAS_VARIABLE.test(host) || !host) {
+    warnings.push(`${context}: base URL "${url.host}" could not be resolved, skipped`);
+    return null;
+  }
+  // A `{{baseUrl}}` host variable often carries the scheme and a path prefix too
+  const hostMatch = host.match(/^(?:(\w+):\/\/)?([^/]+)(\/.*)?$/);
+  const protocol = hostMatch[1] || url.protocol || "https";
+  const baseUrl = `${protocol}://${hostMatch[2]}${url.port ? `:${url.port}` : ""}`;
+  const pathPrefix = (hostMatch[3] || "").split("/").filter(Boolean);
+
+  // Path segments: `:name` and unresolved `{{name}}` become path parameters
+  const pathVariables = new Map(url.variable.map((v) => [v.key, v]));
+  const segments = url.path.map((segment) => {
+    const pathVariable = segment.startsWith(":") ? segment.slice(1) : resolver.variableName(segment);
+    const resolved = resolver.resolve(segment);
+    if (pathVariable && (segment.startsWith(":") || resolved === segment)) {
+      const variable = pathVariables.get(pathVariable);
+      addParam(params, {
+        apiName: pathVariable,
+        in: "path",
+        schema: { type: "string" },
+        description: stripRequiredMarker(variable?.description),
+        required: true,
+      });
+      return `{${pathVariable}}`;
+    }
+    return resolved;
+  });
+
+  for (const query of url.query) {
+    if (!query.key) continue;
+    const variable = resolver.variableName(query.value);
+    if (API_KEY_PARAM.test(query.key) && (variable || !query.value)) {
+      // A key passed as a query variable is the collection's credential
+      auth = auth || {
+        type: "apiKey",
+        in: "query",
+        name: query.key,
+        env: credentialEnv(query.value, `${options.envPrefix}_API_KEY`),
+      };
+      continue;
+    }
+    if (auth?.type === "apiKey" && auth.in === "query" && auth.name === query.key) continue;
+
+    const required = !query.disabled && isRequired(query.description);
+    const literal = variable ? resolver.resolve(query.value) : query.value;
+    const hasLiteral = literal !== undefined && literal !== "" && !HAS_VARIABLE.test(literal);
+    const schema = hasLiteral ? schemaForLiteral(literal) : { type: "string" };
+    if (hasLiteral && !PLACEHOLDER.test(literal)) {
+      // What the saved request sends becomes the default; for required params it is only an example
+      const value = literalValue(literal, schema);
+      if (required || query.disabled) schema.examples = [value];
+      else schema.default = value;
+    }
+
+    addParam(params, {
+      apiName: query.key,
+      in: "query",
+      schema,
+      description: stripRequiredMarker(query.description),
+      required,
+    });
+  }
+
+  const headers = {};
+  for (const header of request.header || []) {
+    if (header.disabled || !header.key) continue;
+    const lower = header.key.toLowerCase();
+    if (SKIPPED_HEADERS.has(lower)) continue;
+    const variable = resolver.variableName(header.value);
+    const value = String(header.value || "");
+
+    if (lower === "authorization" && /^bearer\s/i.test(value)) {
+      const token = value.replace(/^bearer\s+/i, "");
+      auth = auth || { type: "bearer", env: credentialEnv(token, `${options.envPrefix}_API_KEY`) };
+    } else if (variable && SECRET_NAME.test(header.key)) {
+      auth = auth || {
+        type: "apiKey",
+        in: "header",
+        name: header.key,
+        env: credentialEnv(header.value, `${options.envPrefix}_API_KEY`),
+      };
+    } else if (variable && resolver.resolve(value) === value) {
+      addParam(params, {
+        apiName: header.key,
+        in: "header",
+        schema: { type: "string" },
+        description: stripRequiredMarker(header.description),
+        required: isRequired(header.description),
+      });
+    } else {
+      headers[header.key] = resolver.resolve(value);
+    }
+  }
+
+  let bodyMode;
+  const body = request.body;
+  if (body?.mode === "raw" && body.raw) {
+    // Quote bare placeholders so `{ "n": {{count}} }` still parses as JSON
+    const raw = body.raw.replace(/:\s*(\{\{[^}]+\}\})/g, ': "$1"');
+    let parsed;
+    try {
+      parsed = JSON.parse(raw);
+    } catch {
+      warnings.push(`${context}: raw body is not JSON, body parameters skipped`);
+    }
+    if (parsed && typeof parsed === "object" && !Array.isArray(parsed)) {
+      bodyMode = "json";
+      for (const [key, value] of Object.entries(parsed)) {
+        const isVariable = typeof value === "string" && resolver.variableName(value);
+        addParam(params, {
+          apiName: key,
+          in: "body",
+          schema: isVariable
+            ? { type: "string" }
+            : { ...inferSchema(value), ...(value !== null && { examples: [value] }) },
+          description: "",
+          required: false,
+        });
+      }
+    }
+  } else if (body?.mode === "urlencoded" || body?.mode === "formdata") {
+    bodyMode = "urlencoded";
+    for (const field of body[body.mode] || []) {
+      if (field.disabled || field.type === "file") continue;
+      addParam(params, {
+        apiName: field.key,
+        in: "body",
+        schema: { type: "string" },
+        description: stripRequiredMarker(field.description),
+        required: isRequired(field.description),
+      });
+    }
+  }
+
+  const example = (item.response || [])
+    .map((response) => {
+      try {
+        return JSON.parse(response.body);
+      } catch {
+        return undefined;
+      }
+    })
+    .find((parsed) => parsed && typeof parsed === "object" && !Array.isArray(parsed));
+
+  const exported = exportedTool(item, warnings, context);
+  if (exported) restoreParams(params, exported.params);
+
+  return {
+    name: toSnakeCase(item.name) || "request",
+    description: describe(request.description) || `Call the ${item.name} endpoint.`,
+    method: (request.method || "GET").toUpperCase(),
+    baseUrl,
+    path: [...pathPrefix, ...segments].map((segment) => `/${segment}`).join(""),
+    params,
+    bodyMode,
+    headers,
+    auth,
+    ...(example && { outputSchema: inferSchema(example) }),
+    googleStatus: /(^|\.)googleapis\.com$/.test(hostMatch[2]),
+    // Exported tools go back where they came from, unless a location was given
+    folder: exported ? exported.folder || [] : folder,
+    ...(exported?.file && { fileName: `${exported.file}.js` }),
+    ...(exported && {
+      workspace: options.workspace || exported.workspace,
+      collection: options.collection || exported.collection,
+    }),
+  };
+}
+
+/**
+ * Converts a Postman Collection v2.1 export into generator operations.
+ *
+ * @param {Object} collection - Parsed collection JSON.
+ * @param {Object} [options]
+ * @param {Object} [options.environment] - Parsed Postman environment JSON.
+ * @param {string} [options.workspace] - Workspace directory name; defaults to the collection slug.
+ * @param {string} [options.collection] - Collection directory name; defaults to the collection slug.
+ * @param {string} [options.envPrefix] - Prefix for credential env vars; defaults from the workspace.
+ * @returns {{ workspace: string, collection: string, operations: Array, warnings: string[] }}
+ *   Operations re-imported from lib/postman-export.js carry their own
+ *   `workspace` and `collection`, which default to the exported ones.
+ */
+export function importPostmanCollection(collection, options = {}) {
+  const schema = collection?.info?.schema || "";
+  if (!collection?.info || !Array.isArray(collection.item)) {
+    throw new Error("Not a Postman collection: expected `info` and an `item` array");
+  }
+  if (schema && !schema.includes("v2.1")) {
+    throw new Error(`Unsupported collection schema ${schema}; export the collection as v2.1`);
+  }
+
+  const collectionSlug = toKebabCase(collection.info.name || "collection");
+  const workspace = options.workspace ? toKebabCase(options.workspace) : collectionSlug;
+  const collectionDir = options.collection || collectionSlug;
+  const envPrefix = options.envPrefix || toEnvName(workspace);
+  const resolver = new VariableResolver(collection, options.environment);
+  const warnings = [];
+  const operations = [];
+
+  // Folders become subdirectories of the collection directory
+  const walk = (items, inheritedAuth, folder) => {
+    for (const item of items) {
+      if (Array.isArray(item.item)) {
+        const folderAuth =
+          item.auth === undefined || item.auth?.type === "inherit"
+            ? inheritedAuth
+            : convertAuth(item.auth, envPrefix, warnings, `"${item.name}"`);
+        walk(item.item, folderAuth, [...folder, toKebabCase(item.name || "folder")]);
+      } else if (item.request) {
+        const operation = convertRequest(
+          item,
+          inheritedAuth,
+          resolver,
+          {
+            envPrefix,
+            workspace: options.workspace && workspace,
+            collection: options.collection,
+          },
+          warnings,
+          folder
+        );
+        if (operation) operations.push(operation);
+      }
+    }
+  };
+  walk(collection.item, convertAuth(collection.auth, envPrefix, warnings, "collection"), []);
+
+  return { workspace, collection: collectionDir, operations, warnings };
+}
@@ -0,0 +1,37 @@
+/**
+ * Converts a tool's return value into an MCP `CallToolResult`.
+ *
+ * Tools that declare an `outputSchema` get their result as `structuredContent`
+ * plus a compact JSON text block for clients that only read text content.
+ * Other tools keep the pretty-printed text rendering.
+ *
+ * @param {Object} tool - The tool object as returned by `discoverTools()`.
+ * @param {*} result - The value resolved by the tool function.
+ * @returns {Object} The `CallToolResult` payload.
+ */
+export function toCallToolResult(tool, result) {
+  if (tool.outputSchema && isPlainObject(result)) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(result),
+        },
+      ],
+      structuredContent: result,
+    };
+  }
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(result, null, 2),
+      },
+    ],
+  };
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
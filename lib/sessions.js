@@ -0,0 +1,113 @@
+import { loadConfig } from "./config.js";
+import { createLogger } from "./logger.js";
+
+/**
+ * Sessions of the stateful Streamable HTTP mode.
+ *
+ * Configured by `http` in mcp.config.json, with environment variables taking
+ * precedence (`host`, the address the HTTP transports bind to, is read by
+ * mcpServer.js):
+ *
+ *   {
+ *     "http": {
+ *       "host": "127.0.0.1",          // HOST, or the --host flag
+ *       "stateful": false,            // HTTP_STATEFUL, or the --stateful flag
+ *       "sessionIdleSeconds": 1800,   // SESSION_IDLE_SECONDS
+ *       "eventStore": "memory",       // EVENT_STORE: memory | file | none
+ *       "eventStoreDir": ".cache/events"  // EVENT_STORE_DIR
+ *     }
+ *   }
+ */
+
+const DEFAULT_IDLE_SECONDS = 30 * 60;
+const MAX_SWEEP_INTERVAL_MS = 60 * 1000;
+
+const log = createLogger("sessions");
+
+/**
+ * Returns the session settings.
+ * @param {Object} [overrides] - Values taking precedence, e.g. from CLI flags.
+ * @returns {{ stateful: boolean, idleSeconds: number, eventStore: string, eventStoreDir: string }}
+ */
+export function sessionOptions(overrides = {}) {
+  const { http = {} } = loadConfig();
+  const stateful = process.env.HTTP_STATEFUL;
+  return {
+    stateful:
+      overrides.stateful ||
+      (stateful !== undefined && stateful !== "" ? stateful === "true" : Boolean(http.stateful)),
+    idleSeconds: Number(
+      process.env.SESSION_IDLE_SECONDS || http.sessionIdleSeconds || DEFAULT_IDLE_SECONDS
+    ),
+    eventStore: process.env.EVENT_STORE || http.eventStore || "memory",
+    eventStoreDir: process.env.EVENT_STORE_DIR || http.eventStoreDir || ".cache/events",
+  };
+}
+
+/**
+ * Tracks open sessions and closes the ones that have been idle too long.
+ * Each session is `{ transport, server, owner }`; closing it closes both.
+ */
+export class SessionRegistry {
+  /**
+   * @param {number} idleSeconds - Idle time after which a session is closed.
+   * @param {Object} [options]
+   * @param {(id: string) => void} [options.onRemove] - Called once a session is
+   *   gone, whether it was closed, expired or ended by the client.
+   */
+  constructor(idleSeconds, options = {}) {
+    this.idleMs = idleSeconds * 1000;
+    this.onRemove = options.onRemove;
+    this.sessions = new Map();
+    this.timer = setInterval(() => this.sweep(), Math.min(this.idleMs, MAX_SWEEP_INTERVAL_MS));
+    this.timer.unref();
+  }
+
+  get size() {
+    return this.sessions.size;
+  }
+
+  add(id, session) {
+    this.sessions.set(id, { ...session, lastSeen: Date.now() });
+  }
+
+  /**
+   * Returns a session and marks it as active.
+   * @param {string} id
+   * @returns {Object|undefined}
+   */
+  touch(id) {
+    const session = this.sessions.get(id);
+    if (session) session.lastSeen = Date.now();
+    return session;
+  }
+
+  delete(id) {
+    if (!this.sessions.delete(id)) return;
+    try {
+      this.onRemove?.(id);
+    } catch (error) {
+      log.error("Failed to clean up session", { session: id, error: error.message });
+    }
+  }
+
+  async close(id) {
+    const session = this.sessions.get(id);
+    if (!session) return;
+    this.delete(id);
+    await session.transport.close();
+    await session.server.close();
+  }
+
+  async sweep() {
+    const cutoff = Date.now() - this.idleMs;
+    for (const [id, session] of this.sessions) {
+      if (session.lastSeen < cutoff) {
+        log.info("Session expired", { session: id, idleSeconds: this.idleMs / 1000 });
+        await this.close(id).catch((error) =>
+          log.error("Failed to close session", { session: id, error: error.message })
+        );
+      }
+    }
+  }
+}
@@ -1,17 +1,147 @@
-import { toolPaths } from "../tools/paths.js";
+import fs from "fs";
+import path from "path";
+import { pathToFileURL } from "url";
+import { envList, loadConfig, PROJECT_ROOT } from "./config.js";
+import { DECLARATIVE_EXTENSIONS, loadDeclarativeTool } from "./declarative.js";
+import { matchesAny } from "./glob.js";
+import { createLogger } from "./logger.js";
+
+export const TOOLS_DIR = path.join(PROJECT_ROOT, "tools");
+
+const TOOL_EXTENSIONS = [".js", ...DECLARATIVE_EXTENSIONS];
+
+const log = createLogger("tools");
 
 /**
- * Discovers and loads available tools from the tools directory
- * @returns {Array} Array of tool objects
+ * Recursively lists tool module and declarative definition paths under the
+ * tools directory, relative to it and using forward slashes. Files and
+ * directories starting with `_` or `.` are skipped so collections can keep
+ * private helpers next to tools.
+ * @param {string} [dir]
+ * @returns {string[]}
  */
-export async function discoverTools() {
-  const tools = await Promise.all(
-    toolPaths.map(async (file) => {
-      const { apiTool } = await import(`../tools/${file}`);
-      return { ...apiTool, path: file };
+function scanToolFiles(dir = TOOLS_DIR) {
+  if (!fs.existsSync(dir)) return [];
+
+  return fs
+    .readdirSync(dir, { withFileTypes: true })
+    .filter((entry) => !entry.name.startsWith("_") && !entry.name.startsWith("."))
+    .flatMap((entry) => {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) return scanToolFiles(fullPath);
+      if (!entry.isFile() || !TOOL_EXTENSIONS.includes(path.extname(entry.name))) {
+        return [];
+      }
+      return [path.relative(TOOLS_DIR, fullPath).split(path.sep).join("/")];
+    })
+    .sort();
+}
+
+function discoveryOptions() {
+  const { tools = {} } = loadConfig();
+  return {
+    include: envList("TOOLS_INCLUDE") || tools.include || [],
+    exclude: envList("TOOLS_EXCLUDE") || tools.exclude || [],
+    plugins: envList("TOOLS_PLUGINS") || tools.plugins || [],
+  };
+}
+
+function assertApiTool(apiTool) {
+  if (!apiTool?.definition?.function?.name) {
+    throw new Error("module does not export an apiTool with definition.function.name");
+  }
+  if (typeof apiTool.function !== "function") {
+    throw new Error("apiTool.function is not a function");
+  }
+}
+
+/**
+ * Loads every tool module without de-duplicating names, collecting modules
+ * that fail to load instead of throwing.
+ *
+ * Local tools are found by scanning the tools directory for JS modules and
+ * declarative JSON/YAML definitions (see lib/declarative.js), filtered by the
+ * `include`/`exclude` globs (matched against paths relative to `tools/`).
+ * Plugins are npm packages exporting `apiTool` (a tool or an array of tools).
+ * Both lists come from `tools` in mcp.config.json, or from the TOOLS_INCLUDE,
+ * TOOLS_EXCLUDE and TOOLS_PLUGINS environment variables (comma-separated).
+ *
+ * @returns {Promise<{ tools: Array, errors: Array<{ path: string, error: Error }> }>}
+ */
+export async function loadToolModules() {
+  const { include, exclude, plugins } = discoveryOptions();
+  const files = scanToolFiles().filter(
+    (file) =>
+      (include.length === 0 || matchesAny(file, include)) &&
+      !matchesAny(file, exclude)
+  );
+
+  const errors = [];
+  const localTools = await Promise.all(
+    files.map(async (file) => {
+      try {
+        const fullPath = path.join(TOOLS_DIR, file);
+        const apiTool = file.endsWith(".js")
+          ? (await import(pathToFileURL(fullPath).href)).apiTool
+          : loadDeclarativeTool(fullPath);
+        assertApiTool(apiTool);
+        return [{ ...apiTool, path: file }];
+      } catch (error) {
+        errors.push({ path: `tools/${file}`, error });
+        return [];
+      }
+    })
+  );
+
+  const pluginTools = await Promise.all(
+    plugins.map(async (pkg) => {
+      try {
+        const { apiTool } = await import(pkg);
+        const apiTools = Array.isArray(apiTool) ? apiTool : [apiTool];
+        apiTools.forEach(assertApiTool);
+        return apiTools.map((tool) => ({
+          ...tool,
+          path: `${pkg}/${tool.definition.function.name}`,
+          plugin: pkg,
+        }));
+      } catch (error) {
+        errors.push({ path: pkg, error });
+        return [];
+      }
     })
   );
 
+  return { tools: [...localTools.flat(), ...pluginTools.flat()], errors };
+}
+
+/**
+ * Returns the workspace and collection a tool belongs to. Local tools live at
+ * `tools/<workspace>/<collection>/<file>`; plugin tools are grouped under
+ * their package name.
+ * @param {Object} tool - A tool as returned by `loadToolModules()`.
+ * @returns {{ workspace: string, collection: string }}
+ */
+export function toolLocation(tool) {
+  if (tool.plugin) return { workspace: tool.plugin, collection: "plugin" };
+
+  const parts = tool.path.split("/");
+  return {
+    workspace: parts.length > 2 ? parts[0] : "Unknown Workspace",
+    collection: parts.length > 2 ? parts[1] : "Unknown Collection",
+  };
+}
+
+/**
+ * Discovers and loads available tools from the tools directory and plugins.
+ * Modules that fail to load are logged and skipped.
+ * @returns {Array} Array of tool objects
+ */
+export async function discoverTools() {
+  const { tools, errors } = await loadToolModules();
+  for (const { path: toolPath, error } of errors) {
+    log.warning("Failed to load tool", { path: toolPath, error: error.message });
+  }
+
   // deduplicate tool names
   const nameCounts = {};
 
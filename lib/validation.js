@@ -0,0 +1,276 @@
+/**
+ * Minimal JSON Schema validator for tool arguments.
+ *
+ * Covers the subset of keywords used by tool parameter schemas: `type`,
+ * `enum`, `const`, numeric and length bounds, `pattern`, `items`,
+ * `properties`, `required` and `additionalProperties`. Values whose type does
+ * not match are coerced where no information is lost (e.g. "24" -> 24,
+ * "true" -> true, 2 -> "2").
+ */
+
+const NUMERIC_STRING = /^\s*-?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?\s*$/;
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number" && Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === "number") return actual === "number" || actual === "integer";
+  return actual === type;
+}
+
+/**
+ * Attempts a lossless conversion of `value` to one of the given types.
+ * @returns {{ ok: boolean, value?: any }}
+ */
+function coerce(value, types) {
+  for (const type of types) {
+    if (typeof value === "string") {
+      const trimmed = value.trim();
+      if ((type === "number" || type === "integer") && NUMERIC_STRING.test(trimmed)) {
+        const number = Number(trimmed);
+        if (type === "number" || Number.isInteger(number)) {
+          return { ok: true, value: number };
+        }
+      }
+      if (type === "boolean" && (trimmed === "true" || trimmed === "false")) {
+        return { ok: true, value: trimmed === "true" };
+      }
+    }
+    if (type === "string" && (typeof value === "number" || typeof value === "boolean")) {
+      return { ok: true, value: String(value) };
+    }
+  }
+  return { ok: false };
+}
+
+function validateValue(schema, value, path, errors) {
+  if (!schema || typeof schema !== "object") return value;
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      const coerced = coerce(value, types);
+      if (!coerced.ok) {
+        errors.push({
+          path,
+          message: `must be of type ${types.join(" | ")}, got ${typeOf(value)}`,
+        });
+        return value;
+      }
+      value = coerced.value;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some((allowed) => allowed === value)) {
+    errors.push({
+      path,
+      message: `must be one of: ${schema.enum.map((v) => JSON.stringify(v)).join(", ")}`,
+    });
+  }
+  if ("const" in schema && schema.const !== value) {
+    errors.push({ path, message: `must be ${JSON.stringify(schema.const)}` });
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `must be <= ${schema.maximum}` });
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      errors.push({ path, message: `must be > ${schema.exclusiveMinimum}` });
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      errors.push({ path, message: `must be < ${schema.exclusiveMaximum}` });
+    }
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path, message: `must be at least ${schema.minLength} characters long` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path, message: `must be at most ${schema.maxLength} characters long` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, "u").test(value)) {
+      errors.push({ path, message: `must match pattern ${schema.pattern}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `must contain at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path, message: `must contain at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value = value.map((item, index) =>
+        validateValue(schema.items, item, `${path}[${index}]`, errors)
+      );
+    }
+  }
+
+  if (typeOf(value) === "object") {
+    value = validateObject(schema, value, path, errors);
+  }
+
+  return value;
+}
+
+function validateObject(schema, object, path, errors) {
+  const properties = schema.properties || {};
+  const result = {};
+  const join = (key) => (path ? `${path}.${key}` : key);
+
+  for (const key of schema.required || []) {
+    if (object[key] === undefined) {
+      errors.push({ path: join(key), message: "is required" });
+    }
+  }
+
+  for (const [key, value] of Object.entries(object)) {
+    if (value === undefined) continue;
+    if (key in properties) {
+      result[key] = validateValue(properties[key], value, join(key), errors);
+    } else if (schema.additionalProperties === false) {
+      errors.push({ path: join(key), message: "is not a recognized parameter" });
+    } else if (typeof schema.additionalProperties === "object") {
+      result[key] = validateValue(schema.additionalProperties, value, join(key), errors);
+    } else {
+      result[key] = value;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Validates tool call arguments against the tool's parameter schema.
+ *
+ * @param {Object} schema - JSON Schema of the tool parameters (`definition.function.parameters`).
+ * @param {Object} [args] - Arguments received from the client; a missing value is treated as `{}`.
+ * @returns {{ valid: boolean, value: Object, errors: Array<{ path: string, message: string }> }}
+ *   `value` holds the arguments after safe type coercion.
+ */
+export function validateArguments(schema, args) {
+  const errors = [];
+  const input = args ?? {};
+
+  if (typeOf(input) !== "object") {
+    errors.push({ path: "", message: `arguments must be an object, got ${typeOf(input)}` });
+    return { valid: false, value: input, errors };
+  }
+
+  const value = validateValue({ type: "object", ...schema }, input, "", errors);
+  return { valid: errors.length === 0, value, errors };
+}
+
+/**
+ * Renders validation errors as a single human-readable line.
+ * @param {Array<{ path: string, message: string }>} errors
+ * @returns {string}
+ */
+export function formatValidationErrors(errors) {
+  return errors
+    .map(({ path, message }) => (path ? `${path} ${message}` : message))
+    .join("; ");
+}
+
+const JSON_TYPES = ["string", "number", "integer", "boolean", "object", "array", "null"];
+const NUMERIC_KEYWORDS = [
+  "minimum",
+  "maximum",
+  "exclusiveMinimum",
+  "exclusiveMaximum",
+  "minLength",
+  "maxLength",
+  "minItems",
+  "maxItems",
+];
+
+function checkSubschema(schema, path, problems) {
+  if (!schema || typeof schema !== "object" || Array.isArray(schema)) {
+    problems.push(`${path}: schema must be an object`);
+    return;
+  }
+
+  const types = [].concat(schema.type ?? []);
+  for (const type of types) {
+    if (!JSON_TYPES.includes(type)) problems.push(`${path}: unknown type "${type}"`);
+  }
+  for (const keyword of NUMERIC_KEYWORDS) {
+    if (schema[keyword] !== undefined && typeof schema[keyword] !== "number") {
+      problems.push(`${path}: ${keyword} must be a number`);
+    }
+  }
+  if (
+    typeof schema.minimum === "number" &&
+    typeof schema.maximum === "number" &&
+    schema.minimum > schema.maximum
+  ) {
+    problems.push(`${path}: minimum is greater than maximum`);
+  }
+  if (schema.enum !== undefined && (!Array.isArray(schema.enum) || schema.enum.length === 0)) {
+    problems.push(`${path}: enum must be a non-empty array`);
+  }
+  if (schema.pattern !== undefined) {
+    try {
+      new RegExp(schema.pattern);
+    } catch (error) {
+      problems.push(`${path}: invalid pattern (${error.message})`);
+    }
+  }
+  if (schema.default !== undefined) {
+    const { errors } = validateArguments(
+      { type: "object", properties: { default: schema } },
+      { default: schema.default }
+    );
+    if (errors.length) {
+      problems.push(`${path}: default ${JSON.stringify(schema.default)} ${errors[0].message}`);
+    }
+  }
+
+  if (schema.properties !== undefined) {
+    if (typeof schema.properties !== "object" || Array.isArray(schema.properties)) {
+      problems.push(`${path}: properties must be an object`);
+    } else {
+      for (const [name, property] of Object.entries(schema.properties)) {
+        checkSubschema(property, `${path}.${name}`, problems);
+      }
+    }
+  }
+  if (schema.required !== undefined) {
+    if (!Array.isArray(schema.required)) {
+      problems.push(`${path}: required must be an array`);
+    } else {
+      for (const name of schema.required) {
+        if (!schema.properties || !Object.hasOwn(schema.properties, name)) {
+          problems.push(`${path}: required property "${name}" is not defined`);
+        }
+      }
+    }
+  }
+  if (schema.items !== undefined) checkSubschema(schema.items, `${path}[]`, problems);
+}
+
+/**
+ * Checks that a schema only uses the keywords this validator understands in
+ * a well-formed way, e.g. known types, numeric bounds, compilable patterns,
+ * `required` names that exist and defaults that satisfy their own schema.
+ *
+ * @param {Object} schema
+ * @param {string} [path] - Label for the schema root in the messages.
+ * @returns {string[]} Problems found; empty when the schema is sound.
+ */
+export function checkSchema(schema, path = "schema") {
+  const problems = [];
+  checkSubschema(schema, path, problems);
+  return problems;
+}
@@ -1,5 +1,6 @@
 #!/usr/bin/env node
 
+import crypto from "crypto";
 import dotenv from "dotenv";
 import express from "express";
 import { Server } from "@modelcontextprotocol/sdk/server/index.js";
@@ -9,9 +10,32 @@ import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/
 import {
   CallToolRequestSchema,
   ErrorCode,
+  isInitializeRequest,
   ListToolsRequestSchema,
   McpError,
+  SetLevelRequestSchema,
 } from "@modelcontextprotocol/sdk/types.js";
+import {
+  assertToolAllowed,
+  authOptions,
+  isToolAllowed,
+  protectedResourceMetadata,
+  requireAuth,
+} from "./lib/auth.js";
+import { auditToolCall, getAuditLog } from "./lib/audit.js";
+import { loadConfig } from "./lib/config.js";
+import {
+  credentialsFromClient,
+  credentialsFromHeaders,
+  defaultCredentialName,
+} from "./lib/credentials.js";
+import { createEventStore } from "./lib/event-store.js";
+import { toMcpTool } from "./lib/exporters.js";
+import { readiness } from "./lib/health.js";
+import { createLogger, isLevelEnabled, logLevel, withLogContext } from "./lib/logger.js";
+import { registerSessionCount, renderMetrics } from "./lib/metrics.js";
+import { callTool, findTool } from "./lib/pipeline.js";
+import { SessionRegistry, sessionOptions } from "./lib/sessions.js";
 import { discoverTools } from "./lib/tools.js";
 
 import path from "path";
@@ -24,81 +48,175 @@ dotenv.config({ path: path.resolve(__dirname, ".env") });
 
 const SERVER_NAME = "generated-mcp-server";
 
+const log = createLogger("server");
+
+function createServer() {
+  const server = new Server(
+    {
+      name: SERVER_NAME,
+      version: "0.1.0",
+    },
+    {
+      capabilities: {
+        tools: {},
+        logging: {},
+      },
+    }
+  );
+  server.onerror = (error) => log.error("MCP protocol error", { error: error.message });
+  return server;
+}
+
 async function transformTools(tools) {
-  return tools
-    .map((tool) => {
-      const definitionFunction = tool.definition?.function;
-      if (!definitionFunction) return;
-      return {
-        name: definitionFunction.name,
-        description: definitionFunction.description,
-        inputSchema: definitionFunction.parameters,
-      };
-    })
-    .filter(Boolean);
+  return tools.filter((tool) => tool.definition?.function).map(toMcpTool);
+}
+
+/**
+ * Builds the context a tool call runs with. Remote clients bring their own
+ * credentials: from the initialize request, the headers the connection was
+ * opened with and the headers of the request itself, later ones winning.
+ */
+function callContext(server, extra, connection, defaultCredential) {
+  if (!connection.remote) return {};
+  // With server auth enabled the Authorization header carries the server token
+  const headerOptions = { useAuthorization: !connection.auth };
+  return {
+    remote: true,
+    credentials: {
+      ...credentialsFromClient(server.getClientCapabilities()),
+      ...credentialsFromHeaders(connection.headers, defaultCredential, headerOptions),
+      ...credentialsFromHeaders(extra.requestInfo?.headers, defaultCredential, headerOptions),
+    },
+  };
 }
 
-async function setupServerHandlers(server, tools) {
-  server.setRequestHandler(ListToolsRequestSchema, async () => ({
-    tools: await transformTools(tools),
+/**
+ * Runs a tool call in its own log context: entries get a correlation ID and
+ * the session and client they belong to, credentials are masked, and entries
+ * at or above the client's level are sent to it as `notifications/message`
+ * on the call's own stream.
+ */
+function withCallLogging(extra, context, clientLevel, fn) {
+  const notify = ({ level, logger, ...data }) => {
+    if (!isLevelEnabled(level, clientLevel() || logLevel())) return;
+    extra
+      .sendNotification({ method: "notifications/message", params: { level, logger, data } })
+      .catch((error) => log.debug("Cannot send log notification", { error: error.message }));
+  };
+  return withLogContext(
+    {
+      fields: {
+        requestId: crypto.randomUUID(),
+        session: extra.sessionId,
+        client: extra.authInfo?.clientId,
+      },
+      secrets: Object.values(context.credentials || {}),
+      notify,
+    },
+    fn
+  );
+}
+
+async function setupServerHandlers(server, tools, connection = {}) {
+  const defaultCredential = defaultCredentialName(tools);
+  const allowed = (tool, extra) =>
+    isToolAllowed(connection.auth, extra.authInfo, tool.definition.function.name);
+
+  // Per server, so per session; stateless requests start at the server's level
+  let clientLevel;
+  server.setRequestHandler(SetLevelRequestSchema, async (request) => {
+    clientLevel = request.params.level;
+    return {};
+  });
+
+  server.setRequestHandler(ListToolsRequestSchema, async (_request, extra) => ({
+    tools: await transformTools(tools.filter((tool) => allowed(tool, extra))),
   }));
 
-  server.setRequestHandler(CallToolRequestSchema, async (request) => {
+  server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
     const toolName = request.params.name;
-    const tool = tools.find((t) => t.definition.function.name === toolName);
-    if (!tool) {
-      throw new McpError(ErrorCode.MethodNotFound, `Unknown tool: ${toolName}`);
-    }
-    const args = request.params.arguments;
-    const requiredParameters =
-      tool.definition?.function?.parameters?.required || [];
-    for (const requiredParameter of requiredParameters) {
-      if (!(requiredParameter in args)) {
-        throw new McpError(
-          ErrorCode.InvalidParams,
-          `Missing required parameter: ${requiredParameter}`
-        );
+    const context = callContext(server, extra, connection, defaultCredential);
+    const client = server.getClientVersion();
+    const call = {
+      tool: toolName,
+      arguments: request.params.arguments,
+      clientInfo: client && { name: client.name, version: client.version },
+    };
+    // Looked up inside the audited call, so unknown and refused tools are recorded too
+    const execute = async () => {
+      const tool = findTool(tools, toolName);
+      if (!tool) {
+        throw new McpError(ErrorCode.MethodNotFound, `Unknown tool: ${toolName}`);
       }
-    }
-    try {
-      const result = await tool.function(args);
-      return {
-        content: [
-          {
-            type: "text",
-            text: JSON.stringify(result, null, 2),
-          },
-        ],
-      };
-    } catch (error) {
-      console.error("[Error] Failed to fetch data:", error);
-      throw new McpError(
-        ErrorCode.InternalError,
-        `API error: ${error.message}`
-      );
-    }
+      // The HTTP middleware denies most of these first; this covers every other path
+      assertToolAllowed(connection.auth, extra.authInfo, toolName);
+      return callTool(tool, request.params.arguments, context);
+    };
+    return withCallLogging(extra, context, () => clientLevel, () =>
+      auditToolCall(call, execute)
+    );
   });
 }
 
-async function setupStreamableHttp(tools) {
-  const app = express();
-  app.use(express.json());
+/**
+ * Audits a tool call the auth middleware refused before it reached the MCP
+ * server, as FORBIDDEN.
+ */
+async function auditRefusedCall(auth, req, message, authInfo) {
+  const toolName = message.params?.name;
+  const fields = {
+    requestId: crypto.randomUUID(),
+    session: req.headers["mcp-session-id"] || req.query.sessionId,
+    client: authInfo.clientId,
+  };
+  await withLogContext({ fields }, () =>
+    auditToolCall({ tool: toolName, arguments: message.params?.arguments }, async () =>
+      assertToolAllowed(auth, authInfo, toolName)
+    )
+  ).catch(() => {
+    // The refusal itself is the expected outcome; the middleware answers it
+  });
+}
 
-  app.post("/mcp", async (req, res) => {
+/**
+ * Returns the auth middleware for the HTTP endpoints and serves their
+ * protected-resource metadata, or lets everything through when auth is not
+ * configured (see lib/auth.js).
+ */
+function setupAuth(app, auth, endpoints) {
+  if (!auth) return (_req, _res, next) => next();
+  for (const endpoint of endpoints) {
+    app.get(
+      `/.well-known/oauth-protected-resource${endpoint}`,
+      protectedResourceMetadata(auth, endpoint)
+    );
+  }
+  return requireAuth(auth, {
+    onForbidden: (req, message, authInfo) => auditRefusedCall(auth, req, message, authInfo),
+  });
+}
+
+function sendJsonRpcError(res, status, code, message) {
+  if (res.headersSent) return;
+  res.status(status).json({
+    jsonrpc: "2.0",
+    error: {
+      code,
+      message,
+    },
+    id: null,
+  });
+}
+
+/**
+ * Stateless mode: a new server and transport for every POST, with no
+ * sessions, notifications or GET stream.
+ */
+function setupStatelessRoutes(app, tools, auth, authenticate) {
+  app.post("/mcp", authenticate, async (req, res) => {
     try {
-      const server = new Server(
-        {
-          name: SERVER_NAME,
-          version: "0.1.0",
-        },
-        {
-          capabilities: {
-            tools: {},
-          },
-        }
-      );
-      server.onerror = (error) => console.error("[Error]", error);
-      await setupServerHandlers(server, tools);
+      const server = createServer();
+      await setupServerHandlers(server, tools, { remote: true, auth });
 
       const transport = new StreamableHTTPServerTransport({
         sessionIdGenerator: undefined,
@@ -112,95 +230,205 @@ async function setupStreamableHttp(tools) {
       await server.connect(transport);
       await transport.handleRequest(req, res, req.body);
     } catch (error) {
-      console.error("Error handling MCP request:", error);
-      if (!res.headersSent) {
-        res.status(500).json({
-          jsonrpc: "2.0",
-          error: {
-            code: -32603,
-            message: "Internal server error",
-          },
-          id: null,
-        });
-      }
+      log.error("Failed to handle MCP request", { error: error.message });
+      sendJsonRpcError(res, 500, -32603, "Internal server error");
     }
   });
+}
 
-  const port = process.env.PORT || 3001;
-  app.listen(port, () => {
-    console.log(
-      `[Streamable HTTP Server] running at http://127.0.0.1:${port}/mcp`
-    );
+/**
+ * Stateful mode: `initialize` opens a session whose server and transport
+ * serve every later request carrying its `Mcp-Session-Id`, including the GET
+ * stream (resumable with `Last-Event-ID`) and `DELETE` to end it. Idle
+ * sessions are closed (see lib/sessions.js), and a session's stored events
+ * are deleted once it ends.
+ */
+function setupStatefulRoutes(app, tools, auth, authenticate, options) {
+  const eventStore = createEventStore(options.eventStore, { dir: options.eventStoreDir });
+  const sessions = new SessionRegistry(options.idleSeconds, {
+    onRemove: (id) => eventStore?.deleteSession(id),
   });
+  registerSessionCount("streamable-http", () => sessions.size);
+
+  const handleRequest = async (req, res) => {
+    try {
+      const sessionId = req.headers["mcp-session-id"];
+      if (sessionId) {
+        const session = sessions.touch(sessionId);
+        if (!session) {
+          sendJsonRpcError(res, 404, -32001, "Session not found");
+        } else if (session.owner !== req.auth?.clientId) {
+          sendJsonRpcError(res, 403, -32000, "Session belongs to another client");
+        } else {
+          await session.transport.handleRequest(req, res, req.body);
+        }
+        return;
+      }
+
+      if (req.method !== "POST" || !isInitializeRequest(req.body)) {
+        sendJsonRpcError(
+          res,
+          400,
+          -32000,
+          "Bad Request: no Mcp-Session-Id header; send an initialize request first"
+        );
+        return;
+      }
+
+      const server = createServer();
+      await setupServerHandlers(server, tools, { remote: true, auth, headers: req.headers });
+
+      // Known up front so the session's events are stored apart from other sessions'
+      const newSessionId = crypto.randomUUID();
+      const transport = new StreamableHTTPServerTransport({
+        sessionIdGenerator: () => newSessionId,
+        eventStore: eventStore?.forSession(newSessionId),
+        onsessioninitialized: (id) => {
+          sessions.add(id, { transport, server, owner: req.auth?.clientId });
+        },
+        onsessionclosed: (id) => sessions.delete(id),
+      });
+      transport.onclose = () => {
+        if (transport.sessionId) sessions.delete(transport.sessionId);
+      };
+
+      await server.connect(transport);
+      await transport.handleRequest(req, res, req.body);
+    } catch (error) {
+      log.error("Failed to handle MCP request", { error: error.message });
+      sendJsonRpcError(res, 500, -32603, "Internal server error");
+    }
+  };
+
+  app.post("/mcp", authenticate, handleRequest);
+  app.get("/mcp", authenticate, handleRequest);
+  app.delete("/mcp", authenticate, handleRequest);
 }
 
-async function setupSSE(tools) {
-  const app = express();
+function mountStreamableHttp(app, tools, auth, options) {
+  const authenticate = setupAuth(app, auth, ["/mcp"]);
+  if (options.stateful) {
+    setupStatefulRoutes(app, tools, auth, authenticate, options);
+  } else {
+    setupStatelessRoutes(app, tools, auth, authenticate);
+  }
+}
+
+function mountSSE(app, tools, auth) {
   const transports = {};
   const servers = {};
+  const owners = {};
+  const authenticate = setupAuth(app, auth, ["/sse", "/messages"]);
+  registerSessionCount("sse", () => Object.keys(transports).length);
 
-  app.get("/sse", async (_req, res) => {
-    const server = new Server(
-      {
-        name: SERVER_NAME,
-        version: "0.1.0",
-      },
-      {
-        capabilities: {
-          tools: {},
-        },
-      }
-    );
-    server.onerror = (error) => console.error("[Error]", error);
-    await setupServerHandlers(server, tools);
+  app.get("/sse", authenticate, async (req, res) => {
+    const server = createServer();
+    await setupServerHandlers(server, tools, { remote: true, auth, headers: req.headers });
 
     const transport = new SSEServerTransport("/messages", res);
     transports[transport.sessionId] = transport;
     servers[transport.sessionId] = server;
+    owners[transport.sessionId] = req.auth?.clientId;
 
     res.on("close", async () => {
       delete transports[transport.sessionId];
       await server.close();
       delete servers[transport.sessionId];
+      delete owners[transport.sessionId];
     });
 
     await server.connect(transport);
   });
 
-  app.post("/messages", async (req, res) => {
+  app.post("/messages", authenticate, async (req, res) => {
     const sessionId = req.query.sessionId;
     const transport = transports[sessionId];
     const server = servers[sessionId];
 
-    if (transport && server) {
-      await transport.handlePostMessage(req, res);
+    if (transport && server && owners[sessionId] !== req.auth?.clientId) {
+      res.status(403).send("Session belongs to another client");
+    } else if (transport && server) {
+      await transport.handlePostMessage(req, res, req.body);
     } else {
       res.status(400).send("No transport/server found for sessionId");
     }
   });
+}
+
+/**
+ * Probe and metrics endpoints. They are not behind auth, so orchestrators
+ * and scrapers can reach them without a token.
+ */
+function mountHealth(app, tools) {
+  app.get("/healthz", (_req, res) => {
+    res.json({ status: "ok" });
+  });
+
+  app.get("/readyz", (_req, res) => {
+    const { ready, checks } = readiness(tools);
+    res.status(ready ? 200 : 503).json({ status: ready ? "ready" : "not ready", checks });
+  });
 
-  const port = process.env.PORT || 3001;
-  app.listen(port, () => {
-    console.log(`[SSE Server] is running:`);
-    console.log(`  SSE stream:    http://127.0.0.1:${port}/sse`);
-    console.log(`  Message input: http://127.0.0.1:${port}/messages`);
+  app.get("/metrics", (_req, res) => {
+    res.type("text/plain; version=0.0.4").send(renderMetrics());
+  });
+}
+
+/**
+ * Serves the selected HTTP transports from one Express app, so they share
+ * the loaded tools, the auth configuration and the port.
+ */
+async function setupHttp(tools, flags) {
+  const app = express();
+  app.use(express.json());
+  const auth = authOptions();
+  const endpoints = [];
+  mountHealth(app, tools);
+
+  if (flags.streamableHttp) {
+    const options = sessionOptions(flags);
+    mountStreamableHttp(app, tools, auth, options);
+    endpoints.push({
+      name: "MCP endpoint",
+      path: "/mcp",
+      note: options.stateful ? `stateful, ${options.eventStore} event store` : "stateless",
+    });
+  }
+  if (flags.sse) {
+    mountSSE(app, tools, auth);
+    endpoints.push(
+      { name: "SSE stream", path: "/sse" },
+      { name: "Message input", path: "/messages" }
+    );
+  }
+  endpoints.push({ name: "Metrics", path: "/metrics" });
+
+  const label =
+    flags.streamableHttp && flags.sse
+      ? "HTTP Server"
+      : flags.sse
+        ? "SSE Server"
+        : "Streamable HTTP Server";
+  const host = flags.host || process.env.HOST || loadConfig().http?.host || "127.0.0.1";
+  const port = Number(process.env.PORT || 3001);
+  const httpServer = app.listen(port, host, (error) => {
+    if (error) {
+      console.error(`Error: cannot listen on ${host}:${port}: ${error.message}`);
+      process.exit(1);
+    }
+    // Print what was actually bound, e.g. the resolved address of a host name
+    const { address, port: boundPort } = httpServer.address();
+    const base = `http://${address.includes(":") ? `[${address}]` : address}:${boundPort}`;
+    console.log(`[${label}] is running:`);
+    for (const { name, path: endpoint, note } of endpoints) {
+      console.log(`  ${`${name}:`.padEnd(15)}${base}${endpoint}${note ? ` (${note})` : ""}`);
+    }
   });
 }
 
 async function setupStdio(tools) {
   // stdio mode: single server instance
-  const server = new Server(
-    {
-      name: SERVER_NAME,
-      version: "0.1.0",
-    },
-    {
-      capabilities: {
-        tools: {},
-      },
-    }
-  );
-  server.onerror = (error) => console.error("[Error]", error);
+  const server = createServer();
   await setupServerHandlers(server, tools);
 
   process.on("SIGINT", async () => {
@@ -212,24 +440,33 @@ async function setupStdio(tools) {
   await server.connect(transport);
 }
 
+function flagValue(args, name) {
+  const index = args.indexOf(name);
+  return index === -1 ? undefined : args[index + 1];
+}
+
 async function run() {
   const args = process.argv.slice(2);
-  const isStreamableHttp = args.includes("--streamable-http");
-  const isSSE = args.includes("--sse");
+  const isHttp = args.includes("--http");
+  const isStreamableHttp = isHttp || args.includes("--streamable-http");
+  const isSSE = isHttp || args.includes("--sse");
   const tools = await discoverTools();
+  // Fail at startup rather than on the first call when the audit settings are invalid
+  getAuditLog();
 
-  if (isStreamableHttp && isSSE) {
-    console.error("Error: Cannot specify both --streamable-http and --sse");
-    process.exit(1);
-  }
-
-  if (isStreamableHttp) {
-    await setupStreamableHttp(tools);
-  } else if (isSSE) {
-    await setupSSE(tools);
+  if (isStreamableHttp || isSSE) {
+    await setupHttp(tools, {
+      streamableHttp: isStreamableHttp,
+      sse: isSSE,
+      stateful: args.includes("--stateful"),
+      host: flagValue(args, "--host"),
+    });
   } else {
     await setupStdio(tools);
   }
 }
 
-run().catch(console.error);
+run().catch((error) => {
+  log.critical("Server failed to start", { error: error.message });
+  process.exitCode = 1;
+});
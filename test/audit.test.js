@@ -0,0 +1,189 @@
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { test } from "node:test";
+import { fileURLToPath } from "node:url";
+import { promisify } from "node:util";
+import { ErrorCode, McpError } from "@modelcontextprotocol/sdk/types.js";
+import {
+  AuditLog,
+  measureCall,
+  readAuditLog,
+  redactArguments,
+} from "../lib/audit.js";
+import { FORBIDDEN } from "../lib/auth.js";
+import { ErrorCodes, ToolError } from "../lib/errors.js";
+import { REDACTED } from "../lib/logger.js";
+import { startServer } from "./helpers/server.js";
+
+const CLI = fileURLToPath(new URL("../index.js", import.meta.url));
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "mcp-audit-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test("credential arguments and secret values are redacted", () => {
+  const redacted = redactArguments(
+    { query: "cafe near abc123", apiKey: "abc123", nested: { token: "t" }, list: ["abc123"] },
+    ["abc123"]
+  );
+
+  assert.deepEqual(redacted, {
+    query: `cafe near ${REDACTED}`,
+    apiKey: REDACTED,
+    nested: { token: REDACTED },
+    list: [REDACTED],
+  });
+});
+
+test("calls are measured with an outcome code", async () => {
+  const outcome = async (execute) => (await measureCall(execute)).outcome;
+
+  assert.equal(await outcome(async () => ({ content: [] })), "OK");
+  assert.equal(
+    await outcome(async () => ({
+      isError: true,
+      content: [{ type: "text", text: JSON.stringify({ error: { code: "NOT_FOUND" } }) }],
+    })),
+    "NOT_FOUND"
+  );
+  assert.equal(
+    await outcome(async () => {
+      throw new ToolError(ErrorCodes.TIMEOUT, "slow");
+    }),
+    ErrorCodes.TIMEOUT
+  );
+  for (const [code, expected] of [
+    [ErrorCode.InvalidParams, "INVALID_ARGUMENTS"],
+    [ErrorCode.MethodNotFound, "UNKNOWN_TOOL"],
+    [FORBIDDEN, "FORBIDDEN"],
+  ]) {
+    assert.equal(
+      await outcome(async () => {
+        throw new McpError(code, "refused");
+      }),
+      expected
+    );
+  }
+});
+
+test("the audit file rotates by size and keeps maxFiles old files", (t) => {
+  const file = path.join(tempDir(t), "audit.jsonl");
+  const audit = new AuditLog({ file, maxBytes: 100, maxFiles: 2 });
+
+  for (let index = 0; index < 4; index++) audit.append({ index, padding: "x".repeat(60) });
+
+  const indexes = (name) => readAuditLog(name).records.map((record) => record.index);
+  assert.deepEqual(indexes(file), [3]);
+  assert.deepEqual(indexes(`${file}.1`), [2]);
+  assert.deepEqual(indexes(`${file}.2`), [1]);
+  assert.equal(fs.existsSync(`${file}.3`), false);
+});
+
+test("unreadable lines are reported, not fatal", (t) => {
+  const file = path.join(tempDir(t), "audit.jsonl");
+  fs.writeFileSync(file, '{"tool":"a"}\nnot json\n\n{"tool":"b"}\n');
+
+  const { records, errors } = readAuditLog(file);
+
+  assert.deepEqual(
+    records.map((record) => record.tool),
+    ["a", "b"]
+  );
+  assert.equal(errors.length, 1);
+  assert.equal(errors[0].line, 2);
+});
+
+async function postToolCall(base, name, args, headers = {}) {
+  const response = await fetch(`${base}/mcp`, {
+    method: "POST",
+    headers: {
+      Accept: "application/json, text/event-stream",
+      "Content-Type": "application/json",
+      ...headers,
+    },
+    body: JSON.stringify({
+      jsonrpc: "2.0",
+      id: 1,
+      method: "tools/call",
+      params: { name, arguments: args },
+    }),
+  });
+  await response.text();
+  return response.status;
+}
+
+test("calls to unknown tools are audited", async (t) => {
+  const file = path.join(tempDir(t), "audit.jsonl");
+  const base = await startServer(t, ["--streamable-http"], { AUDIT_FILE: file });
+
+  await postToolCall(base, "no_such_tool", { q: 1 });
+
+  const [record] = readAuditLog(file).records;
+  assert.equal(record.tool, "no_such_tool");
+  assert.equal(record.outcome, "UNKNOWN_TOOL");
+  assert.deepEqual(record.arguments, { q: 1 });
+});
+
+test("calls refused by the auth middleware are audited", async (t) => {
+  const dir = tempDir(t);
+  const file = path.join(dir, "audit.jsonl");
+  const config = path.join(dir, "mcp.config.json");
+  fs.writeFileSync(
+    config,
+    JSON.stringify({
+      auth: {
+        mode: "static",
+        tokens: [{ token: "maps-token", client: "team-a", scopes: ["maps"] }],
+        scopes: { maps: ["get_*"] },
+      },
+    })
+  );
+  const base = await startServer(t, ["--streamable-http"], {
+    AUDIT_FILE: file,
+    MCP_CONFIG: config,
+  });
+
+  const status = await postToolCall(
+    base,
+    "autocomplete_place",
+    { input: "Sydney" },
+    { Authorization: "Bearer maps-token" }
+  );
+
+  assert.equal(status, 403);
+  const [record] = readAuditLog(file).records;
+  assert.equal(record.tool, "autocomplete_place");
+  assert.equal(record.outcome, "FORBIDDEN");
+  assert.equal(record.client, "team-a");
+  assert.ok(record.requestId);
+});
+
+test("replay compares recorded and replayed outcomes", async (t) => {
+  const file = path.join(tempDir(t), "audit.jsonl");
+  const record = (tool, outcome) =>
+    JSON.stringify({ time: "2026-10-19T10:00:00.000Z", tool, arguments: {}, outcome });
+  // Neither call reaches the network: one tool does not exist, the other lacks its arguments
+  fs.writeFileSync(
+    file,
+    `${record("no_such_tool", "UNKNOWN_TOOL")}\n${record("get_time_zone", "OK")}\n`
+  );
+
+  const error = await promisify(execFile)(process.execPath, [CLI, "replay", file, "--json"]).catch(
+    (failure) => failure
+  );
+
+  assert.equal(error.code, 1, "an outcome changed");
+  const results = error.stdout.trim().split("\n").map((line) => JSON.parse(line));
+  assert.deepEqual(
+    results.map(({ tool, replayed, changed }) => [tool, replayed.outcome, changed]),
+    [
+      ["no_such_tool", "UNKNOWN_TOOL", false],
+      ["get_time_zone", "INVALID_ARGUMENTS", true],
+    ]
+  );
+});
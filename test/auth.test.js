@@ -0,0 +1,136 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { test } from "node:test";
+import { InvalidTokenError } from "@modelcontextprotocol/sdk/server/auth/errors.js";
+import { McpError } from "@modelcontextprotocol/sdk/types.js";
+import { exportJWK, generateKeyPair, SignJWT } from "jose";
+import { assertToolAllowed, authOptions, createTokenVerifier, FORBIDDEN } from "../lib/auth.js";
+import { startServer } from "./helpers/server.js";
+
+const AUDIENCE = "https://mcp.example.com/mcp";
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "mcp-auth-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+async function jwtSetup(t) {
+  const { publicKey, privateKey } = await generateKeyPair("RS256");
+  const dir = tempDir(t);
+  const jwksFile = path.join(dir, "jwks.json");
+  const jwk = { ...(await exportJWK(publicKey)), kid: "test", alg: "RS256" };
+  fs.writeFileSync(jwksFile, JSON.stringify({ keys: [jwk] }));
+
+  const sign = (claims, audience = AUDIENCE) =>
+    new SignJWT(claims)
+      .setProtectedHeader({ alg: "RS256", kid: "test" })
+      .setAudience(audience)
+      .setExpirationTime("5m")
+      .sign(privateKey);
+  return { jwksFile, sign };
+}
+
+test("jwt verifier accepts a valid token", async (t) => {
+  const { jwksFile, sign } = await jwtSetup(t);
+  const verify = createTokenVerifier({ mode: "jwt", jwt: { jwksFile, audience: AUDIENCE } });
+
+  const authInfo = await verify(await sign({ sub: "agent", scope: "maps weather" }));
+
+  assert.equal(authInfo.clientId, "agent");
+  assert.deepEqual(authInfo.scopes, ["maps", "weather"]);
+});
+
+test("jwt verifier rejects a token signed with another key", async (t) => {
+  const { jwksFile } = await jwtSetup(t);
+  const { sign: signElsewhere } = await jwtSetup(t);
+  const verify = createTokenVerifier({ mode: "jwt", jwt: { jwksFile, audience: AUDIENCE } });
+
+  await assert.rejects(verify(await signElsewhere({ sub: "agent" })), InvalidTokenError);
+});
+
+test("jwt verifier rejects a token issued for another audience", async (t) => {
+  const { jwksFile, sign } = await jwtSetup(t);
+  const verify = createTokenVerifier({ mode: "jwt", jwt: { jwksFile, audience: AUDIENCE } });
+
+  await assert.rejects(verify(await sign({ sub: "agent" }, "https://other")), InvalidTokenError);
+});
+
+test("jwt mode requires an audience", async (t) => {
+  const dir = tempDir(t);
+  const config = path.join(dir, "mcp.config.json");
+  fs.writeFileSync(config, JSON.stringify({ auth: { mode: "jwt", jwt: { jwksFile: "jwks.json" } } }));
+  process.env.MCP_CONFIG = config;
+
+  assert.throws(() => authOptions(), /audience or auth.resource is required/);
+  assert.throws(
+    () => createTokenVerifier({ mode: "jwt", jwt: { jwksFile: "jwks.json" } }),
+    /audience or auth.resource is required/
+  );
+});
+
+const SCOPED_AUTH = {
+  mode: "static",
+  tokens: [{ token: "maps-token", client: "team-a", scopes: ["maps"] }],
+  scopes: { maps: ["get_*"], places: ["autocomplete_*"] },
+};
+
+const INSUFFICIENT_SCOPE = {
+  error: "insufficient_scope",
+  error_description: "Token is not allowed to call autocomplete_place",
+};
+
+test("a tool outside the token's scopes is refused with FORBIDDEN", () => {
+  const authInfo = { token: "maps-token", clientId: "team-a", scopes: ["maps"] };
+
+  assert.doesNotThrow(() => assertToolAllowed(SCOPED_AUTH, authInfo, "get_time_zone"));
+  assert.throws(
+    () => assertToolAllowed(SCOPED_AUTH, authInfo, "autocomplete_place"),
+    (error) => {
+      assert.ok(error instanceof McpError);
+      assert.equal(error.code, FORBIDDEN);
+      assert.deepEqual(error.data, { ...INSUFFICIENT_SCOPE, scope: "places" });
+      return true;
+    }
+  );
+});
+
+test("/mcp and the SSE /messages endpoint deny out-of-scope calls alike", async (t) => {
+  const dir = tempDir(t);
+  const config = path.join(dir, "mcp.config.json");
+  fs.writeFileSync(config, JSON.stringify({ auth: SCOPED_AUTH }));
+  const base = await startServer(t, ["--http"], { MCP_CONFIG: config });
+
+  const authorization = { Authorization: "Bearer maps-token" };
+  const call = {
+    jsonrpc: "2.0",
+    id: 1,
+    method: "tools/call",
+    params: { name: "autocomplete_place", arguments: { input: "Sydney" } },
+  };
+  const post = (endpoint) =>
+    fetch(`${base}${endpoint}`, {
+      method: "POST",
+      headers: {
+        ...authorization,
+        Accept: "application/json, text/event-stream",
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify(call),
+    });
+
+  const controller = new AbortController();
+  t.after(() => controller.abort());
+  const stream = await fetch(`${base}/sse`, { headers: authorization, signal: controller.signal });
+  const { value } = await stream.body.getReader().read();
+  const endpoint = Buffer.from(value).toString().match(/data: (\S+)/)[1];
+
+  for (const response of [await post("/mcp"), await post(endpoint)]) {
+    assert.equal(response.status, 403);
+    assert.deepEqual(await response.json(), INSUFFICIENT_SCOPE);
+    assert.match(response.headers.get("www-authenticate"), /error="insufficient_scope"/);
+    assert.match(response.headers.get("www-authenticate"), /scope="places"/);
+  }
+});
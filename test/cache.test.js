@@ -0,0 +1,19 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { cacheKey } from "../lib/cache.js";
+
+test("arguments named like credentials still take part in the cache key", () => {
+  for (const name of ["key", "token", "secret", "password"]) {
+    assert.notEqual(
+      cacheKey("search", { [name]: "a", query: "x" }),
+      cacheKey("search", { [name]: "b", query: "x" }),
+      name
+    );
+  }
+});
+
+test("callers with different credentials get different cache keys", () => {
+  const args = { query: "x" };
+  assert.notEqual(cacheKey("search", args, "scope-a"), cacheKey("search", args, "scope-b"));
+  assert.equal(cacheKey("search", { b: 1, a: 2 }), cacheKey("search", { a: 2, b: 1 }));
+});
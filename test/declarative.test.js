@@ -0,0 +1,219 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { afterEach, test } from "node:test";
+import {
+  createDeclarativeTool,
+  executeDeclarative,
+  loadDeclarativeTool,
+  normalizeDefinition,
+} from "../lib/declarative.js";
+import { ErrorCodes } from "../lib/errors.js";
+import { LOG_OFF, setLogLevel } from "../lib/logger.js";
+
+setLogLevel(LOG_OFF);
+
+const realFetch = globalThis.fetch;
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+  for (const name of ["ACME_API_KEY", "ACME_USERNAME", "ACME_PASSWORD"]) {
+    delete process.env[name];
+  }
+});
+
+/** Replaces fetch with one answering every request with `body`, recording the requests. */
+function mockFetch(body = {}) {
+  const requests = [];
+  globalThis.fetch = async (url, init) => {
+    requests.push({ url: new URL(url), ...init });
+    return new Response(JSON.stringify(body), {
+      status: 200,
+      headers: { "Content-Type": "application/json" },
+    });
+  };
+  return requests;
+}
+
+test("definitions are checked and parameter locations inferred", () => {
+  assert.throws(() => normalizeDefinition({ request: { url: "https://x" } }), /`name` is required/);
+  assert.throws(() => normalizeDefinition({ name: "a" }), /`request.url` is required/);
+  assert.throws(
+    () => normalizeDefinition({ name: "a", request: { url: "https://x/{id}" } }),
+    /URL placeholder \{id\} has no matching parameter/
+  );
+  assert.throws(
+    () =>
+      normalizeDefinition({
+        name: "a",
+        request: { url: "https://x" },
+        parameters: { q: { type: "string", in: "cookie" } },
+      }),
+    /parameter "q" has unknown location "cookie"/
+  );
+  assert.throws(
+    () =>
+      normalizeDefinition({ name: "a", request: { url: "https://x" }, auth: { type: "oauth" } }),
+    /unknown auth type "oauth"/
+  );
+
+  const { request, params } = normalizeDefinition({
+    name: "a",
+    request: { url: "https://x/items/{item_id}", method: "post" },
+    parameters: {
+      id: { type: "string", as: "item_id" },
+      name: { type: "string", required: true },
+      trace: { type: "string", in: "header" },
+    },
+  });
+  assert.equal(request.method, "POST");
+  assert.deepEqual(
+    params.map(({ name, apiName, in: location, required }) => [name, apiName, location, required]),
+    [
+      ["id", "item_id", "path", true],
+      ["name", "name", "body", true],
+      ["trace", "trace", "header", false],
+    ]
+  );
+});
+
+test("GET arguments go to the path, query string and headers", async () => {
+  process.env.ACME_API_KEY = "secret";
+  const tool = createDeclarativeTool({
+    name: "find_items",
+    request: { url: "https://acme.example/shops/{shop}/items", headers: { "X-Client": "mcp" } },
+    auth: { type: "apiKey", in: "query", name: "key", env: "ACME_API_KEY" },
+    parameters: {
+      shop: { type: "string" },
+      latitude: { type: "number", as: "location.latitude" },
+      tags: { type: "array", items: { type: "string" } },
+      fields: { type: "array", items: { type: "string" }, separator: "," },
+      opennow: { type: "boolean", flag: true },
+      language: { type: "string", default: "en" },
+      filter: { type: "object" },
+      trace: { type: "string", in: "header" },
+    },
+  });
+  const requests = mockFetch({ items: [] });
+
+  await tool.function({
+    shop: "a/b",
+    latitude: 60.17,
+    tags: ["x", "y"],
+    fields: ["id", "name"],
+    opennow: false,
+    filter: { open: true },
+    trace: "t-1",
+  });
+
+  const [{ url, method, headers }] = requests;
+  assert.equal(method, "GET");
+  assert.equal(url.pathname, "/shops/a%2Fb/items");
+  assert.deepEqual(
+    [...url.searchParams],
+    [
+      ["location.latitude", "60.17"],
+      ["tags", "x"],
+      ["tags", "y"],
+      ["fields", "id,name"],
+      ["language", "en"],
+      ["filter", '{"open":true}'],
+      ["key", "secret"],
+    ]
+  );
+  assert.equal(headers["X-Client"], "mcp");
+  assert.equal(headers.trace, "t-1");
+
+  await tool.function({ shop: "a", opennow: true });
+  assert.equal(requests[1].url.searchParams.get("opennow"), "true");
+});
+
+test("body parameters are sent as JSON or form fields with the configured auth", async () => {
+  process.env.ACME_API_KEY = "token";
+  process.env.ACME_USERNAME = "user";
+  process.env.ACME_PASSWORD = "pass";
+  const requests = mockFetch({ id: 1 });
+  const spec = {
+    name: "create_item",
+    request: { url: "https://acme.example/items", method: "POST" },
+    parameters: {
+      name: { type: "string", required: true },
+      count: { type: "integer", default: 1 },
+      tags: { type: "array", items: { type: "string" } },
+    },
+  };
+
+  const bearer = createDeclarativeTool({ ...spec, auth: { type: "bearer", env: "ACME_API_KEY" } });
+  await bearer.function({ name: "a", tags: ["x"] });
+  await createDeclarativeTool({
+    ...spec,
+    request: { ...spec.request, bodyMode: "urlencoded" },
+    auth: { type: "basic", usernameEnv: "ACME_USERNAME", passwordEnv: "ACME_PASSWORD" },
+  }).function({ name: "b" });
+
+  const [json, form] = requests;
+  assert.equal(json.method, "POST");
+  assert.equal(json.headers.Authorization, "Bearer token");
+  assert.equal(json.headers["Content-Type"], "application/json");
+  assert.deepEqual(JSON.parse(json.body), { name: "a", count: 1, tags: ["x"] });
+  assert.equal(form.headers.Authorization, `Basic ${Buffer.from("user:pass").toString("base64")}`);
+  assert.equal(String(form.body), "name=b&count=1");
+});
+
+test("responses are narrowed with select, pick and omit", async () => {
+  mockFetch({ result: { id: 1, name: "a", secret: "s" }, status: "OK" });
+  const run = (response) =>
+    executeDeclarative(
+      normalizeDefinition({ name: "get", request: { url: "https://acme.example" }, response }),
+      {}
+    );
+
+  assert.deepEqual(await run({ select: "result" }), { id: 1, name: "a", secret: "s" });
+  assert.deepEqual(await run({ select: "result", pick: ["id", "missing"] }), { id: 1 });
+  assert.deepEqual(await run({ omit: ["status"] }), { result: { id: 1, name: "a", secret: "s" } });
+  assert.equal(await run({ select: "result.name" }), "a");
+});
+
+test("failures surface as tool errors", async () => {
+  const requests = mockFetch();
+  const tool = createDeclarativeTool({
+    name: "get",
+    request: { url: "https://acme.example" },
+    auth: { type: "apiKey", in: "header", name: "X-Key", env: "ACME_API_KEY" },
+  });
+
+  await assert.rejects(tool.function({}), { code: ErrorCodes.API_KEY_MISSING });
+  assert.equal(requests.length, 0, "no request is sent without the key");
+});
+
+test("YAML definitions load into tools with a request descriptor", (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "declarative-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, "get-item.yaml");
+  fs.writeFileSync(
+    file,
+    [
+      "name: get_item",
+      "request:",
+      "  url: https://acme.example/items/{id}",
+      "parameters:",
+      "  id: { type: string, description: Item ID. }",
+      "cache: { ttlSeconds: 60 }",
+    ].join("\n")
+  );
+
+  const tool = loadDeclarativeTool(file);
+
+  assert.deepEqual(tool.cache, { ttlSeconds: 60 });
+  assert.deepEqual(tool.definition.function.parameters, {
+    type: "object",
+    properties: { id: { type: "string", description: "Item ID." } },
+    required: ["id"],
+    additionalProperties: false,
+  });
+  assert.deepEqual(tool.request.params, [
+    { name: "id", apiName: "id", in: "path", required: true, separator: undefined, flag: false },
+  ]);
+  assert.equal(tool.definition.function.description, "Call https://acme.example/items/{id}.");
+});
@@ -0,0 +1,82 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { test } from "node:test";
+import { FileEventStore, MemoryEventStore } from "../lib/event-store.js";
+
+const GET_STREAM = "_GET_stream";
+
+async function replay(store, lastEventId) {
+  const sent = [];
+  const streamId = await store.replayEventsAfter(lastEventId, {
+    send: async (id, message) => sent.push({ id, message }),
+  });
+  return { streamId, messages: sent.map(({ message }) => message) };
+}
+
+function dispose(store) {
+  store.close();
+  if (store.dir) fs.rmSync(store.dir, { recursive: true, force: true });
+}
+
+for (const [kind, create] of [
+  ["memory", () => new MemoryEventStore()],
+  ["file", () => new FileEventStore(fs.mkdtempSync(path.join(os.tmpdir(), "events-")))],
+]) {
+  test(`${kind} store: sessions sharing a stream ID do not see each other's events`, async (t) => {
+    const store = create();
+    t.after(() => dispose(store));
+    const a = store.forSession("session-a");
+    const b = store.forSession("session-b");
+
+    const firstA = await a.storeEvent(GET_STREAM, { n: "a1" });
+    await b.storeEvent(GET_STREAM, { n: "b1" });
+    await a.storeEvent(GET_STREAM, { n: "a2" });
+    await b.storeEvent(GET_STREAM, { n: "b2" });
+
+    assert.deepEqual(await replay(a, firstA), { streamId: GET_STREAM, messages: [{ n: "a2" }] });
+    assert.equal(await a.getStreamIdForEventId(firstA), GET_STREAM);
+    assert.equal(await b.getStreamIdForEventId(firstA), undefined);
+    await assert.rejects(replay(b, firstA), /does not belong to this session/);
+  });
+
+  test(`${kind} store: deleting a session drops its streams only`, async (t) => {
+    const store = create();
+    t.after(() => dispose(store));
+    const a = store.forSession("session-a");
+    const b = store.forSession("session-b");
+    const firstA = await a.storeEvent("post-1", { n: "a1" });
+    await a.storeEvent("post-1", { n: "a2" });
+    const firstB = await b.storeEvent("post-2", { n: "b1" });
+    await b.storeEvent("post-2", { n: "b2" });
+
+    store.deleteSession("session-a");
+
+    assert.deepEqual((await replay(a, firstA)).messages, []);
+    assert.deepEqual((await replay(b, firstB)).messages, [{ n: "b2" }]);
+  });
+
+  test(`${kind} store: streams idle longer than the maximum age are pruned`, async (t) => {
+    const store = create();
+    t.after(() => dispose(store));
+    const a = store.forSession("session-a");
+    const first = await a.storeEvent("post-1", { n: 1 });
+    await a.storeEvent("post-1", { n: 2 });
+
+    store.maxAgeMs = -1;
+    store.prune();
+
+    assert.deepEqual((await replay(a, first)).messages, []);
+  });
+}
+
+test("memory store keeps at most maxEventsPerStream events per stream", async (t) => {
+  const store = new MemoryEventStore({ maxEventsPerStream: 2 });
+  t.after(() => store.close());
+  const session = store.forSession("session-a");
+  const first = await session.storeEvent("post-1", { n: 1 });
+  for (const n of [2, 3, 4]) await session.storeEvent("post-1", { n });
+
+  assert.deepEqual((await replay(session, first)).messages, [{ n: 3 }, { n: 4 }]);
+});
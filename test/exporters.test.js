@@ -0,0 +1,34 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { EXPORT_FORMATS } from "../lib/exporters.js";
+import { discoverTools } from "../lib/tools.js";
+
+const pagedTools = async () => (await discoverTools()).filter((tool) => tool.pagination);
+
+test("only the mcp export keeps pagination arguments", async () => {
+  const tools = await pagedTools();
+  assert.ok(tools.length > 0);
+
+  for (const [format, exporter] of Object.entries(EXPORT_FORMATS)) {
+    const output = JSON.stringify(exporter(tools));
+    if (format === "mcp") {
+      assert.match(output, /"fetchAll"/, format);
+      assert.match(output, /"maxPages"/, format);
+    } else {
+      assert.doesNotMatch(output, /"fetchAll"|"maxPages"/, format);
+    }
+  }
+});
+
+test("stripping pagination arguments leaves the tool's own schema intact", async () => {
+  const [tool] = await pagedTools();
+  const { properties, required = [] } = tool.definition.function.parameters;
+  const [exported] = EXPORT_FORMATS.openai([tool]);
+
+  assert.deepEqual(
+    Object.keys(exported.function.parameters.properties),
+    Object.keys(properties).filter((name) => name !== "fetchAll" && name !== "maxPages")
+  );
+  assert.deepEqual(exported.function.parameters.required ?? [], required);
+  assert.ok(properties.fetchAll, "the loaded tool itself is not modified");
+});
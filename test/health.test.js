@@ -0,0 +1,45 @@
+import assert from "node:assert/strict";
+import { afterEach, test } from "node:test";
+import { readiness } from "../lib/health.js";
+
+const KEY = "HEALTH_TEST_API_KEY";
+const tools = [{ definition: { function: { name: "search" } }, request: { auth: { env: KEY } } }];
+
+afterEach(() => {
+  delete process.env[KEY];
+  delete process.env.CREDENTIALS_ENV_FALLBACK;
+});
+
+test("with envFallback a missing API key makes the server not ready", () => {
+  process.env.CREDENTIALS_ENV_FALLBACK = "true";
+
+  const { ready, checks } = readiness(tools);
+
+  assert.equal(ready, false);
+  assert.deepEqual(checks.credentials, { ok: false, source: "environment", missing: [KEY] });
+});
+
+test("with envFallback and the API key set the server is ready", () => {
+  process.env.CREDENTIALS_ENV_FALLBACK = "true";
+  process.env[KEY] = "key";
+
+  assert.equal(readiness(tools).ready, true);
+});
+
+test("without envFallback a missing API key is reported but does not fail readiness", () => {
+  const { ready, checks } = readiness(tools);
+
+  assert.equal(ready, true);
+  assert.equal(checks.credentials.source, "clients");
+  assert.deepEqual(checks.credentials.missing, [KEY]);
+  assert.match(checks.credentials.note, /clients must send their own API keys/);
+});
+
+test("a server without tools is not ready", () => {
+  process.env.CREDENTIALS_ENV_FALLBACK = "true";
+
+  const { ready, checks } = readiness([]);
+
+  assert.equal(ready, false);
+  assert.deepEqual(checks.tools, { ok: false, loaded: 0 });
+});
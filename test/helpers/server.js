@@ -0,0 +1,29 @@
+import { spawn } from "node:child_process";
+import { fileURLToPath } from "node:url";
+
+const SERVER_SCRIPT = fileURLToPath(new URL("../../mcpServer.js", import.meta.url));
+
+/**
+ * Starts mcpServer.js on a free port and stops it when the test ends.
+ * @param {Object} t - The test context.
+ * @param {string[]} args - Transport flags, e.g. `["--streamable-http"]`.
+ * @param {Object} [env] - Environment added to the test's own.
+ * @returns {Promise<string>} The server's base URL, e.g. `http://127.0.0.1:40123`.
+ */
+export async function startServer(t, args, env = {}) {
+  const child = spawn(process.execPath, [SERVER_SCRIPT, ...args], {
+    env: { ...process.env, PORT: "0", HOST: "127.0.0.1", LOG_LEVEL: "off", ...env },
+    stdio: ["ignore", "pipe", "inherit"],
+  });
+  t.after(() => child.kill());
+
+  return new Promise((resolve, reject) => {
+    let output = "";
+    child.stdout.on("data", (chunk) => {
+      output += chunk;
+      const match = output.match(/(http:\/\/[^/\s]+)\//);
+      if (match) resolve(match[1]);
+    });
+    child.on("exit", (code) => reject(new Error(`server exited with ${code}: ${output}`)));
+  });
+}
@@ -0,0 +1,154 @@
+import assert from "node:assert/strict";
+import { afterEach, test } from "node:test";
+import { ErrorCodes } from "../lib/errors.js";
+import { requestJson, resolveHttpSettings } from "../lib/http.js";
+import { LOG_OFF, setLogLevel } from "../lib/logger.js";
+
+setLogLevel(LOG_OFF);
+
+const realFetch = globalThis.fetch;
+const ENDPOINT = "https://example.com/api";
+// Short delays so retries do not slow the suite down
+const FAST = { retryBaseMs: 1, retryMaxMs: 50 };
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+  for (const name of ["HTTP_TIMEOUT_MS", "HTTP_MAX_RETRIES", "HTTP_TIMEOUT_MS_SNAP_TO_ROADS"]) {
+    delete process.env[name];
+  }
+});
+
+const json = (body, status = 200, headers = {}) =>
+  new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json", ...headers },
+  });
+
+/** Replaces fetch with one answering each attempt from `responses` in turn. */
+function mockFetch(...responses) {
+  const calls = [];
+  globalThis.fetch = async (url, init) => {
+    calls.push(init);
+    const next = responses[Math.min(calls.length, responses.length) - 1];
+    return typeof next === "function" ? next(init) : next.clone();
+  };
+  return calls;
+}
+
+test("settings resolve from defaults, env, tool options and per-tool env", () => {
+  assert.deepEqual(resolveHttpSettings(), {
+    timeoutMs: 10000,
+    maxRetries: 2,
+    retryBaseMs: 500,
+    retryMaxMs: 8000,
+  });
+
+  process.env.HTTP_TIMEOUT_MS = "3000";
+  process.env.HTTP_MAX_RETRIES = "-1";
+  assert.equal(resolveHttpSettings().timeoutMs, 3000);
+  assert.equal(resolveHttpSettings().maxRetries, 2, "invalid values are ignored");
+  assert.equal(resolveHttpSettings({ timeoutMs: 2000 }).timeoutMs, 2000);
+
+  process.env.HTTP_TIMEOUT_MS_SNAP_TO_ROADS = "1000";
+  assert.equal(resolveHttpSettings({ tool: "snap_to_roads", timeoutMs: 2000 }).timeoutMs, 1000);
+  assert.equal(resolveHttpSettings({ tool: "other", timeoutMs: 2000 }).timeoutMs, 2000);
+});
+
+test("transient failures are retried until one succeeds", async () => {
+  const calls = mockFetch(json({}, 503), json({}, 502), json({ ok: true }));
+
+  assert.deepEqual(await requestJson(ENDPOINT, FAST), { ok: true });
+  assert.equal(calls.length, 3);
+});
+
+test("retries stop after maxRetries with the last error", async () => {
+  const calls = mockFetch(json({ error: { message: "down" } }, 503));
+
+  await assert.rejects(requestJson(ENDPOINT, { ...FAST, maxRetries: 1 }), {
+    code: ErrorCodes.UPSTREAM_ERROR,
+    message: "down",
+    httpStatus: 503,
+  });
+  assert.equal(calls.length, 2);
+});
+
+test("client errors are not retried", async () => {
+  const calls = mockFetch(json({ error: { status: "INVALID_ARGUMENT", message: "bad" } }, 400));
+
+  await assert.rejects(requestJson(ENDPOINT, FAST), { code: ErrorCodes.INVALID_REQUEST });
+  assert.equal(calls.length, 1);
+});
+
+test("non-idempotent requests are only retried after a 429", async () => {
+  const failed = mockFetch(json({}, 503));
+  await assert.rejects(requestJson(ENDPOINT, { ...FAST, method: "POST", body: {} }), {
+    code: ErrorCodes.UPSTREAM_ERROR,
+  });
+  assert.equal(failed.length, 1);
+
+  const limited = mockFetch(json({}, 429), json({ ok: true }));
+  assert.deepEqual(await requestJson(ENDPOINT, { ...FAST, method: "POST", body: {} }), {
+    ok: true,
+  });
+  assert.equal(limited.length, 2);
+  assert.equal(limited[0].body, "{}");
+  assert.equal(limited[0].headers["Content-Type"], "application/json");
+});
+
+test("Retry-After is honoured, unless it asks for longer than retryMaxMs", async () => {
+  const honoured = mockFetch(json({}, 429, { "Retry-After": "0" }), json({ ok: true }));
+  assert.deepEqual(await requestJson(ENDPOINT, FAST), { ok: true });
+  assert.equal(honoured.length, 2);
+
+  const tooLong = mockFetch(json({}, 429, { "Retry-After": "120" }));
+  await assert.rejects(requestJson(ENDPOINT, FAST), { code: ErrorCodes.RATE_LIMITED });
+  assert.equal(tooLong.length, 1);
+});
+
+test("Google status errors in a 200 body are retried when retryable", async () => {
+  const calls = mockFetch(json({ status: "OVER_QUERY_LIMIT" }), json({ status: "OK", rows: [] }));
+  assert.deepEqual(await requestJson(ENDPOINT, { ...FAST, googleStatus: true }), {
+    status: "OK",
+    rows: [],
+  });
+  assert.equal(calls.length, 2);
+
+  mockFetch(json({ status: "REQUEST_DENIED", error_message: "key rejected" }));
+  await assert.rejects(requestJson(ENDPOINT, { ...FAST, googleStatus: true }), {
+    code: ErrorCodes.PERMISSION_DENIED,
+    message: "key rejected",
+    upstreamStatus: "REQUEST_DENIED",
+  });
+});
+
+test("a slow attempt times out and is retried", async () => {
+  const hang = (init) =>
+    new Promise((resolve, reject) => {
+      init.signal.addEventListener("abort", () => reject(init.signal.reason));
+    });
+  const calls = mockFetch(hang, json({ ok: true }));
+  assert.deepEqual(await requestJson(ENDPOINT, { ...FAST, timeoutMs: 20 }), { ok: true });
+  assert.equal(calls.length, 2);
+
+  mockFetch(hang);
+  await assert.rejects(requestJson(ENDPOINT, { ...FAST, timeoutMs: 20, maxRetries: 0 }), {
+    code: ErrorCodes.TIMEOUT,
+    message: "Request timed out after 20 ms",
+  });
+});
+
+test("network failures and unreadable bodies become tool errors", async () => {
+  globalThis.fetch = async () => {
+    throw new TypeError("fetch failed", { cause: { code: "ECONNREFUSED" } });
+  };
+  await assert.rejects(requestJson(ENDPOINT, { ...FAST, maxRetries: 0 }), {
+    code: ErrorCodes.NETWORK_ERROR,
+    message: "fetch failed: ECONNREFUSED",
+  });
+
+  mockFetch(new Response("<html>oops</html>", { status: 200 }));
+  await assert.rejects(requestJson(ENDPOINT, FAST), {
+    code: ErrorCodes.UPSTREAM_ERROR,
+    message: "Expected a JSON response but got: <html>oops</html>",
+  });
+});
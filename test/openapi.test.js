@@ -0,0 +1,224 @@
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { test } from "node:test";
+import { fileURLToPath } from "node:url";
+import { promisify } from "node:util";
+import { importOpenApi } from "../lib/openapi-import.js";
+
+const CLI = fileURLToPath(new URL("../index.js", import.meta.url));
+
+const SPEC = {
+  openapi: "3.0.3",
+  info: { title: "Acme Stores" },
+  servers: [{ url: "https://{region}.acme.example/v2/", variables: { region: { default: "eu" } } }],
+  security: [{ apiKey: [] }],
+  components: {
+    securitySchemes: {
+      apiKey: { type: "apiKey", in: "header", name: "X-Api-Key" },
+      bearerAuth: { type: "http", scheme: "bearer" },
+    },
+    parameters: {
+      StoreId: { name: "storeId", in: "path", schema: { type: "string" } },
+    },
+    schemas: {
+      Store: {
+        type: "object",
+        properties: {
+          id: { type: "string" },
+          name: { type: "string", nullable: true, example: "Main St" },
+          parent: { $ref: "#/components/schemas/Store" },
+        },
+      },
+    },
+  },
+  paths: {
+    "/stores/{storeId}": {
+      parameters: [
+        { $ref: "#/components/parameters/StoreId" },
+        { name: "fields", in: "query", schema: { type: "string" } },
+      ],
+      get: {
+        operationId: "getStore",
+        summary: "Get a store",
+        tags: ["stores"],
+        parameters: [
+          {
+            name: "fields",
+            in: "query",
+            required: true,
+            schema: { type: "string", enum: ["all"] },
+          },
+          { name: "session", in: "cookie", schema: { type: "string" } },
+        ],
+        responses: {
+          200: {
+            content: { "application/json": { schema: { $ref: "#/components/schemas/Store" } } },
+          },
+        },
+      },
+      put: {
+        operationId: "updateStore",
+        tags: ["stores"],
+        security: [{ bearerAuth: [] }],
+        requestBody: {
+          content: {
+            "application/json": {
+              schema: {
+                type: "object",
+                required: ["name"],
+                properties: {
+                  name: { type: "string", description: "New name." },
+                  "opening-hours": { type: "array", items: { type: "string" } },
+                },
+              },
+            },
+          },
+        },
+        responses: { 204: { description: "Updated" } },
+      },
+    },
+    "/health": {
+      get: { tags: ["internal"], security: [], responses: { 200: { description: "OK" } } },
+    },
+  },
+};
+
+const byName = (operations, name) => operations.find((operation) => operation.name === name);
+
+test("operations get the server URL, merged parameters and a collection per tag", () => {
+  const { workspace, operations, warnings } = importOpenApi(SPEC);
+
+  assert.equal(workspace, "acme-stores");
+  assert.deepEqual(
+    operations.map(({ name, method, collection }) => [name, method, collection]),
+    [
+      ["get_store", "GET", "stores"],
+      ["update_store", "PUT", "stores"],
+      ["get_health", "GET", "internal"],
+    ]
+  );
+
+  const getStore = byName(operations, "get_store");
+  assert.equal(getStore.baseUrl, "https://eu.acme.example");
+  assert.equal(getStore.path, "/v2/stores/{storeId}");
+  // The operation's own `fields` replaces the path-level one; cookies are skipped
+  assert.deepEqual(
+    getStore.params.map(({ name, in: location, required, schema }) => [
+      name,
+      location,
+      required,
+      schema,
+    ]),
+    [
+      ["storeId", "path", true, { type: "string" }],
+      ["fields", "query", true, { type: "string", enum: ["all"] }],
+    ]
+  );
+  assert.deepEqual(warnings, [
+    'GET /stores/{storeId}: cookie parameter "session" is not supported, skipped',
+  ]);
+});
+
+test("schemas are dereferenced and converted to JSON Schema", () => {
+  const { outputSchema } = byName(importOpenApi(SPEC).operations, "get_store");
+
+  assert.deepEqual(outputSchema.properties.name, {
+    type: ["string", "null"],
+    examples: ["Main St"],
+  });
+  // The recursive reference is cut off and left unconstrained
+  assert.deepEqual(outputSchema.properties.parent, {});
+});
+
+test("request body properties become body parameters", () => {
+  const updateStore = byName(importOpenApi(SPEC).operations, "update_store");
+
+  assert.equal(updateStore.bodyMode, "json");
+  assert.deepEqual(
+    updateStore.params
+      .filter((param) => param.in === "body")
+      .map(({ name, apiName, required, description }) => [name, apiName, required, description]),
+    [
+      ["name", "name", true, "New name."],
+      ["opening_hours", "opening-hours", false, ""],
+    ]
+  );
+});
+
+test("each security scheme reads its own credential", () => {
+  const { operations } = importOpenApi(SPEC, { envPrefix: "ACME" });
+
+  assert.deepEqual(byName(operations, "get_store").auth, {
+    type: "apiKey",
+    in: "header",
+    name: "X-Api-Key",
+    env: "ACME_API_KEY",
+  });
+  assert.deepEqual(byName(operations, "update_store").auth, {
+    type: "bearer",
+    env: "ACME_BEARER_AUTH",
+  });
+  assert.equal(byName(operations, "get_health").auth, null, "security: [] opts out");
+
+  const { apiKey } = SPEC.components.securitySchemes;
+  const single = { ...SPEC, components: { ...SPEC.components, securitySchemes: { apiKey } } };
+  const lone = byName(importOpenApi(single, { envPrefix: "ACME" }).operations, "get_store");
+  assert.equal(lone.auth.env, "ACME_API_KEY", "a lone scheme keeps the plain name");
+});
+
+test("tags filter operations", () => {
+  const names = (options) =>
+    importOpenApi(SPEC, options).operations.map((operation) => operation.name);
+
+  assert.deepEqual(names({ tags: ["internal"] }), ["get_health"]);
+  assert.deepEqual(names({ excludeTags: ["internal"] }), ["get_store", "update_store"]);
+});
+
+test("unsupported documents and relative servers are refused", () => {
+  assert.throws(() => importOpenApi({ swagger: "2.0" }), /expected OpenAPI 3.x, got 2.0/);
+  assert.throws(
+    () => importOpenApi({ ...SPEC, servers: [{ url: "/api" }] }),
+    /no absolute server URL \(got "\/api"\); pass --base-url/
+  );
+  const { operations } = importOpenApi(
+    { ...SPEC, servers: [{ url: "/api" }] },
+    { baseUrl: "https://acme.example/api" }
+  );
+  assert.equal(byName(operations, "get_health").path, "/api/health");
+});
+
+test("import-openapi writes one collection per tag, or the one given with -c", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "openapi-import-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const specFile = path.join(dir, "acme.json");
+  fs.writeFileSync(specFile, JSON.stringify(SPEC));
+
+  const planned = async (...args) => {
+    const { stdout } = await promisify(execFile)(process.execPath, [
+      CLI,
+      "import-openapi",
+      specFile,
+      "--out",
+      dir,
+      "--dry-run",
+      ...args,
+    ]);
+    return [...stdout.matchAll(/planned (.+)$/gm)]
+      .map((match) => path.relative(dir, path.resolve(match[1])))
+      .sort();
+  };
+
+  assert.deepEqual(await planned(), [
+    path.join("acme-stores", "internal", "get-health.js"),
+    path.join("acme-stores", "stores", "get-store.js"),
+    path.join("acme-stores", "stores", "update-store.js"),
+  ]);
+  assert.deepEqual(await planned("-c", "all"), [
+    path.join("acme-stores", "all", "get-health.js"),
+    path.join("acme-stores", "all", "get-store.js"),
+    path.join("acme-stores", "all", "update-store.js"),
+  ]);
+});
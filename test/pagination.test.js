@@ -0,0 +1,100 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { resultData } from "../lib/cli.js";
+import { createDeclarativeTool } from "../lib/declarative.js";
+import { ErrorCodes, ToolError } from "../lib/errors.js";
+import { LOG_OFF, setLogLevel } from "../lib/logger.js";
+import { extractPaginationArgs, fetchAllPages, pageLimits } from "../lib/pagination.js";
+import { callTool } from "../lib/pipeline.js";
+
+setLogLevel(LOG_OFF);
+
+const PAGINATION = {
+  tokenParam: "pagetoken",
+  nextTokenField: "next",
+  itemsField: "results",
+  defaultMaxPages: 3,
+};
+
+/** A paged tool serving `pageCount` pages of one item each. */
+function pagedTool(pageCount, { failOnPage, pagination = PAGINATION } = {}) {
+  const calls = [];
+  const tool = createDeclarativeTool({
+    name: "paged_search",
+    request: { url: "https://example.com/search" },
+    parameters: { query: { type: "string", required: true } },
+    pagination,
+  });
+  tool.function = async (args) => {
+    calls.push(args);
+    const page = Number(args.pagetoken || 1);
+    if (page === failOnPage) throw new ToolError(ErrorCodes.UPSTREAM_ERROR, "page failed");
+    return {
+      results: [`item-${page}`],
+      ...(page < pageCount && { next: String(page + 1) }),
+    };
+  };
+  return { tool, calls };
+}
+
+test("pagination arguments are split off the tool's own", () => {
+  assert.deepEqual(extractPaginationArgs({ query: "x", fetchAll: true, maxPages: 2 }), {
+    fetchAll: true,
+    maxPages: 2,
+    toolArgs: { query: "x" },
+  });
+});
+
+test("the page limit defaults to 20 and is never below the default page count", () => {
+  assert.deepEqual(pageLimits({}), { defaultMaxPages: 5, maxPagesLimit: 20 });
+  assert.deepEqual(pageLimits({ defaultMaxPages: 30 }), { defaultMaxPages: 30, maxPagesLimit: 30 });
+  assert.deepEqual(pageLimits({ maxPagesLimit: 8 }), { defaultMaxPages: 5, maxPagesLimit: 8 });
+});
+
+test("pages are merged up to the default page count", async () => {
+  const { tool, calls } = pagedTool(10);
+
+  const result = await fetchAllPages(tool, { query: "x" });
+
+  assert.deepEqual(result.results, ["item-1", "item-2", "item-3"]);
+  assert.equal(result.next, "4", "the next token is kept so the caller can resume");
+  assert.deepEqual(result.pagination, { pagesFetched: 3, truncated: true });
+  assert.deepEqual(
+    calls.map((args) => args.pagetoken),
+    [undefined, "2", "3"]
+  );
+});
+
+test("all pages are fetched when the last one comes first", async () => {
+  const { tool } = pagedTool(2);
+
+  const result = await fetchAllPages(tool, { query: "x" }, 5);
+
+  assert.deepEqual(result.results, ["item-1", "item-2"]);
+  assert.equal(result.next, undefined);
+  assert.deepEqual(result.pagination, { pagesFetched: 2, truncated: false });
+});
+
+test("a failing later page returns the pages fetched so far", async () => {
+  const { tool } = pagedTool(10, { failOnPage: 3 });
+
+  const result = await fetchAllPages(tool, { query: "x" }, 5);
+
+  assert.deepEqual(result.results, ["item-1", "item-2"]);
+  assert.equal(result.pagination.pagesFetched, 2);
+  assert.equal(result.pagination.error.code, ErrorCodes.UPSTREAM_ERROR);
+});
+
+test("maxPages may exceed the default up to maxPagesLimit", async () => {
+  const { tool } = pagedTool(30, { pagination: { ...PAGINATION, maxPagesLimit: 8 } });
+  const { maxPages } = tool.definition.function.parameters.properties;
+  assert.equal(maxPages.maximum, 8);
+  assert.match(maxPages.description, /defaults to 3/);
+
+  const result = resultData(await callTool(tool, { query: "x", fetchAll: true, maxPages: 6 }));
+  assert.equal(result.results.length, 6);
+
+  await assert.rejects(callTool(tool, { query: "x", fetchAll: true, maxPages: 9 }), /maxPages/);
+  // Tools whose schema does not cap maxPages are capped at run time
+  assert.equal((await fetchAllPages(tool, { query: "x" }, 50)).results.length, 8);
+});
@@ -0,0 +1,97 @@
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { test } from "node:test";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import { promisify } from "node:util";
+import { exportPostmanCollection } from "../lib/postman-export.js";
+import { importPostmanCollection } from "../lib/postman-import.js";
+import { discoverTools } from "../lib/tools.js";
+
+const CLI = fileURLToPath(new URL("../index.js", import.meta.url));
+const run = (...args) => promisify(execFile)(process.execPath, args);
+
+const requiredParams = (params) =>
+  params
+    .filter((param) => param.in !== "body" && param.required)
+    .map((param) => param.apiName)
+    .sort();
+
+test("required params survive a Postman export and re-import", async () => {
+  const tools = (await discoverTools()).filter((tool) => tool.request?.url);
+  const { collection } = exportPostmanCollection(tools);
+  const { operations } = importPostmanCollection(collection);
+
+  assert.ok(tools.length > 0);
+  for (const tool of tools) {
+    const name = tool.definition.function.name;
+    const operation = operations.find((candidate) => candidate.name === name);
+    assert.ok(operation, `${name} was not re-imported`);
+    assert.deepEqual(requiredParams(operation.params), requiredParams(tool.request.params), name);
+  }
+});
+
+test("get_time_zone keeps its required params", async () => {
+  const tools = await discoverTools();
+  const { collection } = exportPostmanCollection(tools);
+  const operation = importPostmanCollection(collection).operations.find(
+    (candidate) => candidate.name === "get_time_zone"
+  );
+
+  assert.deepEqual(requiredParams(operation.params), ["location", "timestamp"]);
+  const location = operation.params.find((param) => param.apiName === "location");
+  assert.doesNotMatch(location.description, /\(Required\)/);
+});
+
+test("an exported catalogue re-imports to the same files and arguments", async (t) => {
+  const tools = (await discoverTools()).filter((tool) => tool.request?.url);
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "postman-roundtrip-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const toolsDir = path.join(dir, "tools");
+
+  await run(CLI, "export-postman", "--out", dir);
+  const exported = path.join(dir, "mcp-tools.postman_collection.json");
+  await run(CLI, "import-collection", exported, "--out", toolsDir);
+
+  // Only the schema keywords a tool's callers see; descriptions are reworded by codegen
+  const signature = (properties) =>
+    Object.fromEntries(
+      Object.entries(properties)
+        .filter(([name]) => name !== "fetchAll" && name !== "maxPages")
+        .map(([name, { type, enum: values, default: defaultValue }]) => [
+          name,
+          { type, enum: values, default: defaultValue },
+        ])
+    );
+  for (const tool of tools) {
+    const original = path.join(toolsDir, tool.path.replace(/\.\w+$/, ".js"));
+    assert.ok(fs.existsSync(original), `${tool.path} was not re-imported in place`);
+    const { apiTool } = await import(pathToFileURL(original));
+    assert.deepEqual(
+      signature(apiTool.definition.function.parameters.properties),
+      signature(tool.definition.function.parameters.properties),
+      tool.path
+    );
+    assert.deepEqual(
+      apiTool.request.params.map(({ name, apiName, in: location }) => [name, apiName, location]),
+      tool.request.params.map(({ name, apiName, in: location }) => [name, apiName, location]),
+      tool.path
+    );
+  }
+});
+
+test("-w and -c still choose where exported tools are imported", async () => {
+  const tools = await discoverTools();
+  const { collection } = exportPostmanCollection(tools);
+  const { operations } = importPostmanCollection(collection, {
+    workspace: "Weather",
+    collection: "forecasts",
+  });
+
+  const operation = operations.find((candidate) => candidate.name === "current_conditions");
+  assert.equal(operation.workspace, "weather");
+  assert.equal(operation.collection, "forecasts");
+  assert.deepEqual(operation.folder, []);
+});
@@ -0,0 +1,121 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { test } from "node:test";
+import { startServer } from "./helpers/server.js";
+
+const PROTOCOL_VERSION = "2025-11-25";
+
+/**
+ * Starts the stateful Streamable HTTP server with a file event store, so
+ * stored streams can be inspected on disk.
+ */
+async function startStatefulServer(t, env = {}) {
+  const eventDir = fs.mkdtempSync(path.join(os.tmpdir(), "events-"));
+  t.after(() => fs.rmSync(eventDir, { recursive: true, force: true }));
+  const base = await startServer(t, ["--streamable-http", "--stateful"], {
+    EVENT_STORE: "file",
+    EVENT_STORE_DIR: eventDir,
+    ...env,
+  });
+  return { url: `${base}/mcp`, eventDir };
+}
+
+function headers(sessionId, extra = {}) {
+  return {
+    Accept: "application/json, text/event-stream",
+    "Content-Type": "application/json",
+    "Mcp-Protocol-Version": PROTOCOL_VERSION,
+    ...(sessionId && { "Mcp-Session-Id": sessionId }),
+    ...extra,
+  };
+}
+
+/** Opens a session and returns its ID and the event IDs of the initialize response. */
+async function initialize(url) {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: headers(),
+    body: JSON.stringify({
+      jsonrpc: "2.0",
+      id: 1,
+      method: "initialize",
+      params: {
+        protocolVersion: PROTOCOL_VERSION,
+        capabilities: {},
+        clientInfo: { name: "sessions-test", version: "1.0.0" },
+      },
+    }),
+  });
+  assert.equal(response.status, 200);
+  const body = await response.text();
+  const eventIds = [...body.matchAll(/^id: (.+)$/gm)].map((match) => match[1]);
+  assert.ok(eventIds.length > 0, "the initialize response is resumable");
+  return { sessionId: response.headers.get("mcp-session-id"), eventIds };
+}
+
+const sessionDirs = (eventDir) => fs.readdirSync(eventDir);
+
+async function waitFor(condition, timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) return false;
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  return true;
+}
+
+test("a session cannot resume from another session's event", async (t) => {
+  const { url } = await startStatefulServer(t);
+  const a = await initialize(url);
+  const b = await initialize(url);
+
+  const stolen = await fetch(url, {
+    headers: headers(b.sessionId, { "Last-Event-ID": a.eventIds[0] }),
+  });
+  assert.equal(stolen.status, 400);
+  await stolen.body?.cancel();
+
+  // The owner can still resume: the replay carries the initialize result
+  const controller = new AbortController();
+  const own = await fetch(url, {
+    headers: headers(a.sessionId, { "Last-Event-ID": a.eventIds[0] }),
+    signal: controller.signal,
+  });
+  assert.equal(own.status, 200);
+  const reader = own.body.getReader();
+  const { value } = await reader.read();
+  controller.abort();
+  assert.match(Buffer.from(value).toString(), /"protocolVersion"/);
+});
+
+test("DELETE /mcp ends the session and removes its streams", async (t) => {
+  const { url, eventDir } = await startStatefulServer(t);
+  const { sessionId } = await initialize(url);
+  const other = await initialize(url);
+  assert.equal(sessionDirs(eventDir).length, 2);
+
+  const deleted = await fetch(url, { method: "DELETE", headers: headers(sessionId) });
+  assert.equal(deleted.status, 200);
+
+  assert.equal(sessionDirs(eventDir).length, 1, "the other session's streams are kept");
+  const after = await fetch(url, { method: "GET", headers: headers(sessionId) });
+  assert.equal(after.status, 404);
+  const stillOpen = await fetch(url, {
+    headers: headers(other.sessionId, { "Last-Event-ID": other.eventIds[0] }),
+    signal: AbortSignal.timeout(1000),
+  });
+  assert.equal(stillOpen.status, 200);
+  await stillOpen.body.cancel();
+});
+
+test("idle expiry ends the session and removes its streams", async (t) => {
+  const { url, eventDir } = await startStatefulServer(t, { SESSION_IDLE_SECONDS: "1" });
+  const { sessionId } = await initialize(url);
+  assert.equal(sessionDirs(eventDir).length, 1);
+
+  assert.ok(await waitFor(() => sessionDirs(eventDir).length === 0, 5000), "streams removed");
+  const after = await fetch(url, { method: "GET", headers: headers(sessionId) });
+  assert.equal(after.status, 404);
+});
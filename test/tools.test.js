@@ -0,0 +1,74 @@
+import assert from "node:assert/strict";
+import { afterEach, test } from "node:test";
+import { resultData } from "../lib/cli.js";
+import { LOG_OFF, setLogLevel } from "../lib/logger.js";
+import { callTool } from "../lib/pipeline.js";
+import { loadToolModules } from "../lib/tools.js";
+
+setLogLevel(LOG_OFF);
+
+const realFetch = globalThis.fetch;
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+  delete process.env.GOOGLE_MAPS_PLATFORM_API_KEY;
+});
+
+/** Replaces fetch with one answering every request with `body`, recording the URLs. */
+function mockFetch(body) {
+  const urls = [];
+  globalThis.fetch = async (url) => {
+    urls.push(new URL(url));
+    return new Response(JSON.stringify(body), {
+      status: 200,
+      headers: { "Content-Type": "application/json" },
+    });
+  };
+  return urls;
+}
+
+test("JS tool modules and declarative definitions load side by side", async () => {
+  const { tools, errors } = await loadToolModules();
+
+  assert.deepEqual(errors, []);
+  const byName = (name) => tools.find((tool) => tool.definition.function.name === name);
+  assert.match(byName("nearest_roads").path, /\.js$/);
+  assert.match(byName("get_time_zone").path, /\.yaml$/);
+});
+
+test("a JS tool and a declarative tool are called through the same pipeline", async () => {
+  const { tools } = await loadToolModules();
+  const byName = (name) => tools.find((tool) => tool.definition.function.name === name);
+  process.env.GOOGLE_MAPS_PLATFORM_API_KEY = "test-key";
+
+  const roadsUrls = mockFetch({ snappedPoints: [{ placeId: "road" }] });
+  const roads = await callTool(byName("nearest_roads"), { points: "60.17,24.94" });
+  assert.equal(roads.isError, undefined);
+  assert.deepEqual(resultData(roads).snappedPoints, [{ placeId: "road" }]);
+  assert.equal(roadsUrls[0].pathname, "/v1/nearestRoads");
+  assert.equal(roadsUrls[0].searchParams.get("points"), "60.17,24.94");
+  assert.equal(roadsUrls[0].searchParams.get("key"), "test-key");
+
+  const zoneUrls = mockFetch({ status: "OK", timeZoneId: "Europe/Helsinki" });
+  const zone = await callTool(byName("get_time_zone"), { location: "60.17,24.94", timestamp: 0 });
+  assert.equal(zone.isError, undefined);
+  assert.equal(resultData(zone).timeZoneId, "Europe/Helsinki");
+  assert.equal(zoneUrls[0].pathname, "/maps/api/timezone/json");
+  assert.equal(zoneUrls[0].searchParams.get("key"), "test-key");
+});
+
+test("a JS tool reports a missing API key like a declarative one", async () => {
+  const { tools } = await loadToolModules();
+  mockFetch({});
+
+  // Other arguments than above, so no cached result answers the call
+  for (const [name, args] of [
+    ["nearest_roads", { points: "-33.86,151.21" }],
+    ["get_time_zone", { location: "-33.86,151.21", timestamp: 0 }],
+  ]) {
+    const tool = tools.find((candidate) => candidate.definition.function.name === name);
+    const result = await callTool(tool, args);
+    assert.equal(result.isError, true, name);
+    assert.equal(resultData(result).error.code, "API_KEY_MISSING", name);
+  }
+});
@@ -0,0 +1,137 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { ErrorCode } from "@modelcontextprotocol/sdk/types.js";
+import { LOG_OFF, setLogLevel } from "../lib/logger.js";
+import { callTool } from "../lib/pipeline.js";
+import { checkSchema, formatValidationErrors, validateArguments } from "../lib/validation.js";
+
+setLogLevel(LOG_OFF);
+
+const SCHEMA = {
+  type: "object",
+  properties: {
+    query: { type: "string", minLength: 1 },
+    radius: { type: "integer", minimum: 1, maximum: 50000 },
+    ratio: { type: "number", exclusiveMaximum: 1 },
+    opennow: { type: "boolean" },
+    rankby: { type: "string", enum: ["prominence", "distance"] },
+    region: { type: "string", pattern: "^[a-z]{2}$" },
+    types: { type: "array", items: { type: "string" }, maxItems: 2 },
+    location: {
+      type: "object",
+      properties: { lat: { type: "number" }, lng: { type: "number" } },
+      required: ["lat", "lng"],
+    },
+  },
+  required: ["query"],
+  additionalProperties: false,
+};
+
+test("values are coerced only where nothing is lost", () => {
+  const { valid, value } = validateArguments(SCHEMA, {
+    query: 42,
+    radius: " 500 ",
+    ratio: "0.5",
+    opennow: "true",
+    types: [1, "cafe"],
+    location: { lat: "60.17", lng: 24.94 },
+  });
+
+  assert.equal(valid, true);
+  assert.deepEqual(value, {
+    query: "42",
+    radius: 500,
+    ratio: 0.5,
+    opennow: true,
+    types: ["1", "cafe"],
+    location: { lat: 60.17, lng: 24.94 },
+  });
+
+  const lossy = validateArguments(SCHEMA, { query: "x", radius: "2.5", opennow: "yes" });
+  assert.deepEqual(
+    lossy.errors.map((error) => error.path),
+    ["radius", "opennow"]
+  );
+  assert.equal(lossy.value.radius, "2.5", "failed values are passed through unchanged");
+});
+
+test("every violation is reported with its path", () => {
+  const { valid, errors } = validateArguments(SCHEMA, {
+    radius: 0,
+    ratio: 1,
+    rankby: "nearest",
+    region: "FIN",
+    types: ["a", "b", "c"],
+    location: { lat: 1 },
+    unknown: true,
+  });
+
+  assert.equal(valid, false);
+  assert.deepEqual(errors, [
+    { path: "query", message: "is required" },
+    { path: "radius", message: "must be >= 1" },
+    { path: "ratio", message: "must be < 1" },
+    { path: "rankby", message: 'must be one of: "prominence", "distance"' },
+    { path: "region", message: "must match pattern ^[a-z]{2}$" },
+    { path: "types", message: "must contain at most 2 items" },
+    { path: "location.lng", message: "is required" },
+    { path: "unknown", message: "is not a recognized parameter" },
+  ]);
+  assert.equal(
+    formatValidationErrors(errors.slice(0, 2)),
+    "query is required; radius must be >= 1"
+  );
+});
+
+test("missing arguments count as an empty object, other non-objects are refused", () => {
+  assert.deepEqual(validateArguments(SCHEMA, undefined).errors, [
+    { path: "query", message: "is required" },
+  ]);
+  assert.deepEqual(validateArguments(SCHEMA, ["x"]).errors, [
+    { path: "", message: "arguments must be an object, got array" },
+  ]);
+});
+
+test("invalid calls are refused before the tool runs", async () => {
+  let called = false;
+  const tool = {
+    function: async () => {
+      called = true;
+      return {};
+    },
+    definition: { type: "function", function: { name: "search", parameters: SCHEMA } },
+  };
+
+  await assert.rejects(callTool(tool, { query: "x", radius: "far" }), (error) => {
+    assert.equal(error.code, ErrorCode.InvalidParams);
+    assert.match(error.message, /Invalid arguments for tool search: radius must be of type integer/);
+    assert.equal(error.data.errors[0].path, "radius");
+    return true;
+  });
+  assert.equal(called, false);
+});
+
+test("schemas are checked for keywords the validator cannot apply", () => {
+  assert.deepEqual(checkSchema(SCHEMA), []);
+  assert.deepEqual(
+    checkSchema({
+      type: "object",
+      properties: {
+        a: { type: "text" },
+        b: { type: "integer", minimum: 10, maximum: 1 },
+        c: { type: "string", enum: [] },
+        d: { type: "string", pattern: "(" },
+        e: { type: "integer", default: "five" },
+      },
+      required: ["a", "missing"],
+    }).map((problem) => problem.replace(/ \(.*\)$/, "")),
+    [
+      'schema.a: unknown type "text"',
+      "schema.b: minimum is greater than maximum",
+      "schema.c: enum must be a non-empty array",
+      "schema.d: invalid pattern",
+      'schema.e: default "five" must be of type integer, got string',
+      'schema: required property "missing" is not defined',
+    ]
+  );
+});
@@ -1,41 +1,32 @@
+import { requireCredential } from '../../../lib/credentials.js';
+import { toToolError } from '../../../lib/errors.js';
+import { requestJson } from '../../../lib/http.js';
+
 /**
  * Function to find the nearest roads for a given set of GPS coordinates using the Google Maps Roads API.
  *
+ * Hand-written rather than declarative (see lib/declarative.js); both kinds
+ * of tools load and run side by side.
+ *
  * @param {Object} args - Arguments for the nearest roads request.
- * @param {string} args.points - The path to be snapped, formatted as latitude/longitude pairs separated by commas and pipe characters. 
+ * @param {string} args.points - The path to be snapped, formatted as latitude/longitude pairs separated by commas and pipe characters.
+ * @param {Object} [context] - Call context carrying per-call credentials.
  * @returns {Promise<Object>} - The result of the nearest roads request.
  */
-const executeFunction = async ({ points }) => {
+const executeFunction = async ({ points }, context) => {
   const baseUrl = 'https://roads.googleapis.com/v1/nearestRoads';
-  const apiKey = process.env.GOOGLE_MAPS_PLATFORM_API_KEY;
+  const apiKey = requireCredential(context, 'GOOGLE_MAPS_PLATFORM_API_KEY');
   try {
     // Construct the URL with query parameters
     const url = new URL(baseUrl);
     url.searchParams.append('points', points);
     url.searchParams.append('key', apiKey);
 
-    // Perform the fetch request
-    const response = await fetch(url.toString(), {
-      method: 'GET',
-      headers: {
-        'Accept': 'application/json'
-      }
-    });
-
-    // Check if the response was successful
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(JSON.stringify(errorData));
-    }
-
-    // Parse and return the response data
-    const data = await response.json();
-    return data;
+    // Perform the request
+    return await requestJson(url, { tool: 'nearest_roads' });
   } catch (error) {
-    console.error('Error finding nearest roads:', error);
-    return {
-      error: `An error occurred while finding nearest roads: ${error instanceof Error ? error.message : JSON.stringify(error)}`
-    };
+    // Failures are logged by the pipeline, with the call's correlation ID
+    throw toToolError(error);
   }
 };
 
@@ -45,6 +36,7 @@ const executeFunction = async ({ points }) => {
  */
 const apiTool = {
   function: executeFunction,
+  cache: { ttlSeconds: 86400 },
   definition: {
     type: 'function',
     function: {
@@ -58,10 +50,65 @@ const apiTool = {
             description: 'The path to be snapped, formatted as latitude/longitude pairs separated by commas and pipe characters.'
           }
         },
-        required: ['points']
+        required: ['points'],
+        additionalProperties: false
       }
     }
+  },
+  outputSchema: {
+    type: 'object',
+    properties: {
+      snappedPoints: {
+        type: 'array',
+        description: 'Points snapped to the most likely roads.',
+        items: {
+          type: 'object',
+          properties: {
+            location: {
+              type: 'object',
+              properties: {
+                latitude: {
+                  type: 'number'
+                },
+                longitude: {
+                  type: 'number'
+                }
+              }
+            },
+            originalIndex: {
+              type: 'integer'
+            },
+            placeId: {
+              type: 'string'
+            }
+          }
+        }
+      },
+      warningMessage: {
+        type: 'string',
+        description: 'A warning returned for the request, if any.'
+      }
+    }
+  },
+  // Static endpoint description, for exporters that cannot run the function
+  request: {
+    method: 'GET',
+    url: 'https://roads.googleapis.com/v1/nearestRoads',
+    auth: {
+      type: 'apiKey',
+      in: 'query',
+      name: 'key',
+      env: 'GOOGLE_MAPS_PLATFORM_API_KEY'
+    },
+    params: [
+      {
+        name: 'points',
+        apiName: 'points',
+        in: 'query',
+        required: true
+      }
+    ]
   }
 };
 
-export { apiTool };
\ No newline at end of file
+export { apiTool };
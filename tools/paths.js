@@ -1,16 +0,0 @@
-export const toolPaths = [
-  'google-maps-platform/google-maps-platform-core-ap-is/snap-to-roads.js',
-  'google-maps-platform/google-maps-platform-core-ap-is/timezone.js',
-  'google-maps-platform/google-maps-platform-core-ap-is/current-conditions.js',
-  'google-maps-platform/google-maps-platform-core-ap-is/place-details.js',
-  'google-maps-platform/google-maps-platform-core-ap-is/find-place-from-text.js',
-  'google-maps-platform/google-maps-platform-core-ap-is/query-autocomplete.js',
-  'google-maps-platform/google-maps-platform-core-ap-is/forecast-days.js',
-  'google-maps-platform/google-maps-platform-core-ap-is/text-search.js',
-  'google-maps-platform/google-maps-platform-core-ap-is/nearest-roads.js',
-  'google-maps-platform/google-maps-platform-core-ap-is/nearby-search.js',
-  'google-maps-platform/google-maps-platform-core-ap-is/forecast-hours.js',
-  'google-maps-platform/google-maps-platform-core-ap-is/history-hours.js',
-  'google-maps-platform/google-maps-platform-core-ap-is/autocomplete.js',
-  'google-maps-platform/google-maps-platform-core-ap-is/distance-matrix.js'
-];
\ No newline at end of file